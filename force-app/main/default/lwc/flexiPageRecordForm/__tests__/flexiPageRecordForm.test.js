@@ -0,0 +1,546 @@
+import { createElement } from "lwc";
+import FlexipageRecordForm from "c/flexiPageRecordForm";
+import getFlexiPageMetadata from "@salesforce/apex/FlexiPageToolingService.getFlexiPageMetadata";
+import getFieldValues from "@salesforce/apex/FlexiPageToolingService.getFieldValues";
+import getLatestFieldValues from "@salesforce/apex/FlexiPageToolingService.getLatestFieldValues";
+import getSavedRecord from "@salesforce/apex/FlexiPageToolingService.getSavedRecord";
+import { createRecord, updateRecord } from "lightning/uiRecordApi";
+import { getObjectInfo } from "lightning/uiObjectInfoApi";
+import LightningConfirm from "lightning/confirm";
+
+jest.mock(
+  "@salesforce/apex/FlexiPageToolingService.getFlexiPageMetadata",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/FlexiPageToolingService.getFieldValues",
+  () => {
+    const { createApexTestWireAdapter } = require("@salesforce/sfdx-lwc-jest");
+    return { default: createApexTestWireAdapter(jest.fn()) };
+  },
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/FlexiPageToolingService.getLatestFieldValues",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/FlexiPageToolingService.getSavedRecord",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+jest.mock("lightning/uiRecordApi", () => ({
+  __esModule: true,
+  createRecord: jest.fn(),
+  updateRecord: jest.fn()
+}));
+jest.mock("lightning/confirm", () => ({
+  __esModule: true,
+  default: { open: jest.fn() }
+}));
+
+const RECORD_ID = "001000000000001AAA";
+
+// A page with one two-column section whose Phone field shows unless Name is
+// "hide". AccountNumber is read-only on the layout; Score__c is a formula.
+const component = (componentName, identifier, properties) => ({
+  componentInstance: {
+    componentName,
+    identifier,
+    componentInstanceProperties: Object.entries(properties).map(
+      ([name, value]) => ({ name, value })
+    )
+  }
+});
+const field = (fieldApiName, extra = {}) => ({
+  fieldInstance: {
+    fieldItem: `Record.${fieldApiName}`,
+    fieldInstanceProperties: [{ name: "uiBehavior", value: "none" }],
+    ...extra
+  }
+});
+const PAGE = {
+  flexiPageRegions: [
+    {
+      name: "main",
+      type: "Region",
+      itemInstances: [
+        component("flexipage:fieldSection", "infoSection", {
+          columns: "infoColumns",
+          label: "Information"
+        })
+      ]
+    },
+    {
+      name: "infoColumns",
+      type: "Facet",
+      itemInstances: [
+        component("flexipage:column", "infoColumn1", {
+          body: "infoColumn1Body"
+        }),
+        component("flexipage:column", "infoColumn2", {
+          body: "infoColumn2Body"
+        })
+      ]
+    },
+    {
+      name: "infoColumn1Body",
+      type: "Facet",
+      itemInstances: [
+        field("Name"),
+        field("Phone", {
+          visibilityRule: {
+            criteria: [
+              {
+                leftValue: "{!Record.Name}",
+                operator: "NE",
+                rightValue: "hide"
+              }
+            ]
+          }
+        })
+      ]
+    },
+    {
+      name: "infoColumn2Body",
+      type: "Facet",
+      itemInstances: [
+        field("Website"),
+        field("AccountNumber", {
+          fieldInstanceProperties: [{ name: "uiBehavior", value: "readonly" }]
+        }),
+        field("Score__c")
+      ]
+    }
+  ]
+};
+const RECORD = { Name: "Acme", Phone: "555-0100", Website: "acme.com" };
+const fieldInfo = (apiName, isWritable = true) => ({
+  apiName,
+  createable: isWritable,
+  updateable: isWritable
+});
+const OBJECT_INFO = {
+  label: "Account",
+  themeInfo: { iconUrl: "" },
+  fields: {
+    Name: fieldInfo("Name"),
+    Phone: fieldInfo("Phone"),
+    Website: fieldInfo("Website"),
+    AccountNumber: fieldInfo("AccountNumber"),
+    Score__c: fieldInfo("Score__c", false)
+  }
+};
+
+// eslint-disable-next-line @lwc/lwc/no-async-operation
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Lets wire emissions, promise chains and re-renders settle
+const flushPromises = async () => {
+  await tick();
+  await tick();
+  await tick();
+};
+
+async function createForm(properties = {}) {
+  const element = createElement("c-flexi-page-record-form", {
+    is: FlexipageRecordForm
+  });
+  Object.assign(element, {
+    objectApiName: "Account",
+    flexiPageName: "Account_Record_Page",
+    recordId: RECORD_ID,
+    ...properties
+  });
+  document.body.appendChild(element);
+  await flushPromises();
+  if (element.recordId) {
+    getFieldValues.emit({ values: RECORD, metadata: {} });
+    await flushPromises();
+  }
+  return element;
+}
+
+const INPUT_RECORDS = [
+  { Id: RECORD_ID, Name: "Acme", Phone: "555-0100" },
+  { Phone: "555-0200" }
+];
+
+// A Flow screen editing INPUT_RECORDS, one form per record
+async function createCollection(properties = {}) {
+  const element = createElement("c-flexi-page-record-form", {
+    is: FlexipageRecordForm
+  });
+  Object.assign(element, {
+    objectApiName: "Account",
+    flexiPageName: "Account_Record_Page",
+    flowContext: true,
+    inputRecords: INPUT_RECORDS,
+    ...properties
+  });
+  document.body.appendChild(element);
+  await flushPromises();
+  return element;
+}
+
+const getRecordForms = (element) => [
+  ...element.shadowRoot.querySelectorAll("c-flexi-page-record-form")
+];
+
+const isFormHidden = (element) =>
+  getRecordForms(element).map((form) =>
+    form.parentElement.classList.contains("slds-hide")
+  );
+
+const getInput = (element, fieldName) =>
+  element.shadowRoot.querySelector(
+    `lightning-input-field[data-field-name="${fieldName}"]`
+  );
+
+// Types into an input the way lightning-input-field reports it
+async function typeValue(element, fieldName, value) {
+  getInput(element, fieldName).value = value;
+  element.shadowRoot
+    .querySelector("c-flexi-page-record-form-section")
+    .dispatchEvent(
+      new CustomEvent("fieldchange", { detail: { fieldName, value } })
+    );
+  await flushPromises();
+}
+
+async function startEditing(element) {
+  element.shadowRoot
+    .querySelector('lightning-button-icon[data-field-id="Name"]')
+    .click();
+  await flushPromises();
+}
+
+async function clickButton(element, label) {
+  // The lightning-input-field stub can't validate, so every input passes
+  element.shadowRoot
+    .querySelectorAll("lightning-input-field")
+    .forEach((input) => {
+      input.reportValidity = () => true;
+    });
+  [...element.shadowRoot.querySelectorAll("lightning-button")]
+    .find((button) => button.label === label)
+    .click();
+  await flushPromises();
+}
+
+// Reports a container width to the form's ResizeObserver
+let resizeCallback;
+async function resize(width) {
+  resizeCallback([{ contentRect: { width } }]);
+  await flushPromises();
+}
+
+describe("c-flexi-page-record-form", () => {
+  beforeAll(() => {
+    Element.prototype.scrollIntoView = jest.fn();
+    global.ResizeObserver = class {
+      constructor(callback) {
+        resizeCallback = callback;
+      }
+      observe() {}
+      disconnect() {}
+    };
+  });
+
+  beforeEach(() => {
+    getFlexiPageMetadata.mockResolvedValue(JSON.stringify(PAGE));
+    getLatestFieldValues.mockResolvedValue({ values: RECORD, metadata: {} });
+    updateRecord.mockResolvedValue({ id: RECORD_ID });
+    LightningConfirm.open.mockResolvedValue(true);
+    getSavedRecord.mockResolvedValue({ ...RECORD, Id: RECORD_ID });
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it("keeps an edit to a field that is hidden and shown again", async () => {
+    const element = await createForm();
+    await startEditing(element);
+
+    await typeValue(element, "Phone", "555-0199");
+    await typeValue(element, "Name", "hide");
+    expect(getInput(element, "Phone")).toBeNull();
+
+    await typeValue(element, "Name", "Acme");
+    expect(getInput(element, "Phone").value).toBe("555-0199");
+    expect(element.changedFields).toEqual(["Phone"]);
+
+    await clickButton(element, "Save");
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Phone: "555-0199", Id: RECORD_ID }
+    });
+  });
+
+  it("saves an edit to a field that a visibility rule has hidden", async () => {
+    const element = await createForm();
+    await startEditing(element);
+
+    await typeValue(element, "Phone", "555-0199");
+    await typeValue(element, "Name", "hide");
+
+    await clickButton(element, "Save");
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Name: "hide", Phone: "555-0199", Id: RECORD_ID }
+    });
+  });
+
+  it("keeps edits when the columns stack and unstack", async () => {
+    const element = await createForm();
+    await resize(1000);
+    await startEditing(element);
+    const section = element.shadowRoot.querySelector(
+      "c-flexi-page-record-form-section"
+    );
+    const columnCount = () =>
+      section.querySelectorAll(".slds-grid > div").length;
+    expect(columnCount()).toBe(2);
+
+    await typeValue(element, "Website", "acme.example");
+    await resize(400);
+    expect(columnCount()).toBe(1);
+    expect(getInput(element, "Website").value).toBe("acme.example");
+
+    await typeValue(element, "Phone", "555-0199");
+    await resize(1000);
+    expect(columnCount()).toBe(2);
+    expect(getInput(element, "Website").value).toBe("acme.example");
+    expect(getInput(element, "Phone").value).toBe("555-0199");
+
+    await clickButton(element, "Save");
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Website: "acme.example", Phone: "555-0199", Id: RECORD_ID }
+    });
+  });
+
+  it("opens a collapsed section from the save error summary", async () => {
+    const element = await createForm();
+    await startEditing(element);
+    await typeValue(element, "Phone", "555-0199");
+    updateRecord.mockRejectedValueOnce({
+      body: {
+        output: {
+          fieldErrors: {
+            Website: [{ fieldLabel: "Website", message: "Enter a valid URL" }]
+          }
+        }
+      }
+    });
+    await clickButton(element, "Save");
+
+    const section = element.shadowRoot.querySelector(
+      "c-flexi-page-record-form-section"
+    );
+    const isOpen = () =>
+      section.querySelector("section").classList.contains("slds-is-open");
+    section.dispatchEvent(
+      new CustomEvent("sectiontoggle", {
+        detail: { sectionId: "infoColumns" }
+      })
+    );
+    await flushPromises();
+    expect(isOpen()).toBe(false);
+
+    element.shadowRoot.querySelector('a[data-field-id="Website"]').click();
+    await flushPromises();
+    expect(isOpen()).toBe(true);
+    expect(Element.prototype.scrollIntoView).toHaveBeenCalled();
+  });
+
+  it("saves on Next and repeats the navigation once saved", async () => {
+    const element = await createForm({
+      flowContext: true,
+      saveOnNext: true,
+      availableActions: ["NEXT"]
+    });
+    const handleNext = jest.fn();
+    element.addEventListener("lightning__flownavigationnext", handleNext);
+    await startEditing(element);
+    await typeValue(element, "Phone", "555-0199");
+    element.shadowRoot
+      .querySelectorAll("lightning-input-field")
+      .forEach((input) => {
+        input.reportValidity = () => true;
+      });
+
+    expect(element.validate()).toEqual({
+      isValid: false,
+      errorMessage: "Saving…"
+    });
+    // Next clicked again before the save finishes
+    expect(element.validate()).toEqual({
+      isValid: false,
+      errorMessage: "Saving…"
+    });
+    await flushPromises();
+
+    expect(updateRecord).toHaveBeenCalledTimes(1);
+    expect(handleNext).toHaveBeenCalledTimes(1);
+    expect(element.validate()).toEqual({ isValid: true });
+  });
+
+  it("asks to resolve a save conflict when Next is clicked again", async () => {
+    const element = await createForm({
+      flowContext: true,
+      saveOnNext: true,
+      availableActions: ["NEXT"]
+    });
+    getFieldValues.emit({
+      values: { ...RECORD, SystemModstamp: "2026-01-01T00:00:00.000Z" },
+      metadata: {}
+    });
+    getLatestFieldValues.mockResolvedValue({
+      values: {
+        ...RECORD,
+        Phone: "555-0300",
+        SystemModstamp: "2026-01-02T00:00:00.000Z"
+      },
+      metadata: {}
+    });
+    await flushPromises();
+    await startEditing(element);
+    await typeValue(element, "Phone", "555-0199");
+    element.shadowRoot
+      .querySelectorAll("lightning-input-field")
+      .forEach((input) => {
+        input.reportValidity = () => true;
+      });
+
+    element.validate();
+    await flushPromises();
+    expect(updateRecord).not.toHaveBeenCalled();
+    expect(element.validate()).toEqual({
+      isValid: false,
+      errorMessage:
+        "Another user changed this record. Choose Overwrite, Merge or Reload to continue."
+    });
+  });
+
+  it("leaves read-only fields out of a new record", async () => {
+    createRecord.mockResolvedValue({ id: RECORD_ID });
+    const element = await createForm({
+      recordId: undefined,
+      defaultValues: "Name:Acme;AccountNumber:A-100;Score__c:42"
+    });
+    getObjectInfo.emit(OBJECT_INFO);
+    await flushPromises();
+
+    await clickButton(element, "Save");
+    expect(createRecord).toHaveBeenCalledWith({
+      apiName: "Account",
+      fields: { Name: "Acme" }
+    });
+  });
+
+  it("leaves formula fields of an input record out of the save", async () => {
+    createRecord.mockResolvedValue({ id: RECORD_ID });
+    const element = await createForm({
+      recordId: undefined,
+      flowContext: true,
+      saveOnNext: true,
+      availableActions: ["NEXT"],
+      inputRecord: { Name: "Acme", Phone: "555-0100", Score__c: 42 }
+    });
+    getObjectInfo.emit(OBJECT_INFO);
+    await flushPromises();
+    element.shadowRoot
+      .querySelectorAll("lightning-input-field")
+      .forEach((input) => {
+        input.reportValidity = () => true;
+      });
+
+    element.validate();
+    await flushPromises();
+    expect(createRecord).toHaveBeenCalledWith({
+      apiName: "Account",
+      fields: { Name: "Acme", Phone: "555-0100" }
+    });
+  });
+
+  describe("with a record collection", () => {
+    it("renders a titled form per record", async () => {
+      const element = await createCollection();
+
+      const recordForms = getRecordForms(element);
+      expect(recordForms.map((form) => form.cardTitle)).toEqual([
+        "Acme",
+        "Record 2"
+      ]);
+      expect(recordForms.map((form) => form.inputRecord)).toEqual(
+        INPUT_RECORDS
+      );
+      expect(element.outputRecords).toEqual(INPUT_RECORDS);
+    });
+
+    it("shows one record per tab", async () => {
+      const element = await createCollection({ collectionDisplay: "tabs" });
+
+      const tabs = [...element.shadowRoot.querySelectorAll("lightning-tab")];
+      expect(tabs.map((tab) => tab.label)).toEqual(["Acme", "Record 2"]);
+      expect(getRecordForms(element).map((form) => form.cardTitle)).toEqual([
+        "",
+        ""
+      ]);
+      expect(isFormHidden(element)).toEqual([false, true]);
+    });
+
+    it("validates the record in a tab that hasn't been opened", async () => {
+      const element = await createCollection({ collectionDisplay: "tabs" });
+      const recordForms = getRecordForms(element);
+      recordForms.forEach((form) =>
+        form.shadowRoot
+          .querySelectorAll("lightning-input-field")
+          .forEach((input) => {
+            input.reportValidity = () => true;
+          })
+      );
+      getInput(recordForms[1], "Phone").reportValidity = () => false;
+
+      expect(element.validate()).toEqual({
+        isValid: false,
+        errorMessage: "Record 2: Phone: Enter a valid value."
+      });
+      await flushPromises();
+      expect(isFormHidden(element)).toEqual([true, false]);
+    });
+
+    it("outputs each form's edits at its record's position", async () => {
+      const element = await createCollection();
+
+      await typeValue(getRecordForms(element)[1], "Phone", "555-0299");
+      expect(element.outputRecords).toEqual([
+        INPUT_RECORDS[0],
+        { Phone: "555-0299" }
+      ]);
+      expect(element.isDirty).toBe(true);
+    });
+
+    it("names the record whose form is invalid", async () => {
+      const element = await createCollection();
+      const recordForms = getRecordForms(element);
+      recordForms.forEach((form) =>
+        form.shadowRoot
+          .querySelectorAll("lightning-input-field")
+          .forEach((input) => {
+            input.reportValidity = () => true;
+          })
+      );
+      getInput(recordForms[1], "Phone").reportValidity = () => false;
+
+      expect(element.validate()).toEqual({
+        isValid: false,
+        errorMessage: "Record 2: Phone: Enter a valid value."
+      });
+    });
+  });
+});
@@ -0,0 +1,1073 @@
+import {
+  parseFlexiPageJson,
+  evaluateBooleanFilter,
+  evaluateCriterion,
+  coerceCriterionValue,
+  getRecordFieldPath,
+  collectVisibilityFieldPaths,
+  parseGlobalMergeField,
+  collectGlobalMergeFields,
+  buildFieldSetSection,
+  parseColumnLayout,
+  getColumnClass,
+  redistributeColumns,
+  stackColumns,
+  isSameFieldValue,
+  findSaveConflicts,
+  parseSaveError,
+  toSObjectRecord
+} from "../utils";
+
+describe("parseFlexiPageJson", () => {
+  const component = (componentName, identifier, properties, extra = {}) => ({
+    componentInstance: {
+      componentName,
+      identifier,
+      componentInstanceProperties: Object.entries(properties).map(
+        ([name, value]) => ({ name, value })
+      ),
+      ...extra
+    }
+  });
+  const field = (fieldApiName, extra = {}) => ({
+    fieldInstance: {
+      fieldItem: `Record.${fieldApiName}`,
+      fieldInstanceProperties: [{ name: "uiBehavior", value: "none" }],
+      ...extra
+    }
+  });
+  const facet = (name, itemInstances) => ({
+    name,
+    type: "Facet",
+    itemInstances
+  });
+  // A field section with one column per list of field instances
+  const fieldSection = (id, label, columns, extra = {}) => [
+    component(
+      "flexipage:fieldSection",
+      id,
+      { columns: `${id}Columns`, label },
+      extra
+    ),
+    facet(
+      `${id}Columns`,
+      columns.map((_, index) =>
+        component("flexipage:column", `${id}Column${index + 1}`, {
+          body: `${id}Column${index + 1}Body`
+        })
+      )
+    ),
+    ...columns.map((fields, index) =>
+      facet(`${id}Column${index + 1}Body`, fields)
+    )
+  ];
+  const page = (...regions) => ({ flexiPageRegions: regions });
+
+  it("collects sections placed in nested facets", () => {
+    const [section, ...sectionFacets] = fieldSection("info", "Information", [
+      [field("Name"), field("Phone")],
+      [field("Website")]
+    ]);
+    const sections = parseFlexiPageJson(
+      page(
+        {
+          name: "main",
+          type: "Region",
+          itemInstances: [
+            component("flexipage:tabset", "tabset1", { tabs: "tabsFacet" })
+          ]
+        },
+        facet("tabsFacet", [
+          component("flexipage:tab", "detailTab", {
+            body: "detailBody",
+            title: "Standard.Tab.detail",
+            active: "true"
+          })
+        ]),
+        facet("detailBody", [section]),
+        ...sectionFacets
+      )
+    );
+
+    expect(Object.keys(sections)).toEqual(["infoColumns"]);
+    const { label, columns } = sections.infoColumns;
+    expect(label).toBe("Information");
+    expect(columns.infoColumn1Body.order).toBe(0);
+    expect(columns.infoColumn2Body.order).toBe(1);
+    expect(Object.keys(columns.infoColumn1Body.fields)).toEqual([
+      "Name",
+      "Phone"
+    ]);
+    expect(columns.infoColumn1Body.fields.Phone.order).toBe(1);
+    expect(columns.infoColumn2Body.fields.Website.isVisible).toBe(true);
+  });
+
+  it("records the tab that owns each section", () => {
+    const [detailSection, ...detailFacets] = fieldSection("detail", "Detail", [
+      [field("Name")]
+    ]);
+    const [moreSection, ...moreFacets] = fieldSection("more", "More", [
+      [field("Phone")]
+    ]);
+    const [lastSection, ...lastFacets] = fieldSection("last", "Last", [
+      [field("Website")]
+    ]);
+    const sections = parseFlexiPageJson(
+      page(
+        {
+          name: "main",
+          type: "Region",
+          itemInstances: [
+            component("flexipage:tabset", "tabset1", { tabs: "tabsFacet" })
+          ]
+        },
+        facet("tabsFacet", [
+          component("flexipage:tab", "detailTab", {
+            body: "detailBody",
+            title: "Standard.Tab.detail",
+            active: "true"
+          }),
+          component("flexipage:tab", "moreTab", {
+            body: "moreBody",
+            title: "More Info"
+          }),
+          component("flexipage:tab", "lastTab", { body: "lastBody" })
+        ]),
+        facet("detailBody", [detailSection]),
+        facet("moreBody", [moreSection]),
+        facet("lastBody", [lastSection]),
+        ...detailFacets,
+        ...moreFacets,
+        ...lastFacets
+      )
+    );
+
+    expect(sections.detailColumns.container).toEqual({
+      type: "tab",
+      groupId: "tabset1",
+      itemId: "detailTab",
+      label: "Details",
+      order: 0,
+      isActive: true,
+      allowMultipleOpen: false,
+      visibilityRules: []
+    });
+    expect(sections.moreColumns.container).toEqual(
+      expect.objectContaining({
+        itemId: "moreTab",
+        label: "More Info",
+        order: 1,
+        isActive: false
+      })
+    );
+    expect(sections.lastColumns.container.label).toBe("Tab 3");
+  });
+
+  it("groups accordion sections and keeps allowMultipleOpen", () => {
+    const [firstSection, ...firstFacets] = fieldSection("first", "First", [
+      [field("Name")]
+    ]);
+    const [secondSection, ...secondFacets] = fieldSection("second", "Second", [
+      [field("Phone")]
+    ]);
+    const [singleSection, ...singleFacets] = fieldSection("single", "Single", [
+      [field("Website")]
+    ]);
+    const sections = parseFlexiPageJson(
+      page(
+        {
+          name: "main",
+          type: "Region",
+          itemInstances: [
+            component("flexipage:accordion", "accordion1", {
+              accordionSections: "accordionFacet",
+              allowMultipleSectionsOpen: "true"
+            }),
+            component("flexipage:accordion", "accordion2", {
+              accordionSections: "singleFacet"
+            })
+          ]
+        },
+        facet("accordionFacet", [
+          component("flexipage:accordionSection", "firstItem", {
+            body: "firstBody",
+            label: "First Item"
+          }),
+          component("flexipage:accordionSection", "secondItem", {
+            body: "secondBody"
+          })
+        ]),
+        facet("singleFacet", [
+          component("flexipage:accordionSection", "singleItem", {
+            body: "singleBody",
+            title: "Titled"
+          })
+        ]),
+        facet("firstBody", [firstSection]),
+        facet("secondBody", [secondSection]),
+        facet("singleBody", [singleSection]),
+        ...firstFacets,
+        ...secondFacets,
+        ...singleFacets
+      )
+    );
+
+    expect(sections.firstColumns.container).toEqual({
+      type: "accordionSection",
+      groupId: "accordion1",
+      itemId: "firstItem",
+      label: "First Item",
+      order: 0,
+      isActive: false,
+      allowMultipleOpen: true,
+      visibilityRules: []
+    });
+    expect(sections.secondColumns.container).toEqual(
+      expect.objectContaining({
+        groupId: "accordion1",
+        label: "Section 2",
+        order: 1,
+        allowMultipleOpen: true
+      })
+    );
+    expect(sections.singleColumns.container).toEqual(
+      expect.objectContaining({
+        groupId: "accordion2",
+        label: "Titled",
+        allowMultipleOpen: false
+      })
+    );
+  });
+
+  it("keeps visibility rules on sections, containers, fields and blank spaces", () => {
+    const rule = (fieldPath) => ({
+      criteria: [
+        {
+          leftValue: `{!Record.${fieldPath}}`,
+          operator: "EQUAL",
+          rightValue: "x"
+        }
+      ]
+    });
+    const [section, ...sectionFacets] = fieldSection(
+      "info",
+      "Information",
+      [
+        [
+          field("Name", { visibilityRule: rule("Type") }),
+          component(
+            "flexipage:blankSpace",
+            "spacer1",
+            {},
+            { visibilityRule: rule("Rating") }
+          ),
+          field("Phone")
+        ]
+      ],
+      { visibilityRule: rule("Industry") }
+    );
+    const sections = parseFlexiPageJson(
+      page(
+        {
+          name: "main",
+          type: "Region",
+          itemInstances: [
+            component(
+              "flexipage:tabset",
+              "tabset1",
+              { tabs: "tabsFacet" },
+              { visibilityRule: rule("OwnerId") }
+            )
+          ]
+        },
+        facet("tabsFacet", [
+          component(
+            "flexipage:tab",
+            "detailTab",
+            { body: "detailBody", title: "Details" },
+            { visibilityRule: rule("Status__c") }
+          )
+        ]),
+        facet("detailBody", [section]),
+        ...sectionFacets
+      )
+    );
+
+    const { visibilityRule, container, columns } = sections.infoColumns;
+    expect(visibilityRule).toEqual(rule("Industry"));
+    // The tabset's rule comes first, then the tab's
+    expect(container.visibilityRules).toEqual([
+      rule("OwnerId"),
+      rule("Status__c")
+    ]);
+    const { fields } = columns.infoColumn1Body;
+    expect(fields.Name.visibilityRule).toEqual(rule("Type"));
+    expect(fields.spacer1).toEqual(
+      expect.objectContaining({
+        isBlankSpace: true,
+        visibilityRule: rule("Rating")
+      })
+    );
+    expect(fields.Phone.visibilityRule).toBeUndefined();
+  });
+
+  it("leaves sections outside tabs ungrouped and drops empty ones", () => {
+    const [section, ...sectionFacets] = fieldSection("info", "Information", [
+      [field("Name")]
+    ]);
+    const [emptySection, ...emptyFacets] = fieldSection("empty", "Empty", [[]]);
+    const sections = parseFlexiPageJson(
+      page(
+        {
+          name: "main",
+          type: "Region",
+          itemInstances: [section, emptySection]
+        },
+        ...sectionFacets,
+        ...emptyFacets
+      )
+    );
+
+    expect(Object.keys(sections)).toEqual(["infoColumns"]);
+    expect(sections.infoColumns.container).toBeNull();
+  });
+
+  it("returns no sections for a page without regions", () => {
+    expect(parseFlexiPageJson(null)).toEqual({});
+    expect(parseFlexiPageJson({})).toEqual({});
+  });
+});
+
+describe("evaluateBooleanFilter", () => {
+  it("evaluates a single condition", () => {
+    expect(evaluateBooleanFilter("1", [true])).toBe(true);
+    expect(evaluateBooleanFilter("1", [false])).toBe(false);
+  });
+
+  it("evaluates AND and OR", () => {
+    expect(evaluateBooleanFilter("1 AND 2", [true, true])).toBe(true);
+    expect(evaluateBooleanFilter("1 AND 2", [true, false])).toBe(false);
+    expect(evaluateBooleanFilter("1 OR 2", [false, true])).toBe(true);
+    expect(evaluateBooleanFilter("1 OR 2", [false, false])).toBe(false);
+  });
+
+  it("gives AND precedence over OR", () => {
+    // 1 OR (2 AND 3)
+    expect(evaluateBooleanFilter("1 OR 2 AND 3", [true, false, false])).toBe(
+      true
+    );
+    // (1 AND 2) OR 3
+    expect(evaluateBooleanFilter("1 AND 2 OR 3", [false, true, true])).toBe(
+      true
+    );
+  });
+
+  it("honors parentheses", () => {
+    expect(evaluateBooleanFilter("1 AND (2 OR 3)", [true, false, true])).toBe(
+      true
+    );
+    expect(evaluateBooleanFilter("1 AND (2 OR 3)", [false, true, true])).toBe(
+      false
+    );
+    expect(evaluateBooleanFilter("(1 OR 2) AND 3", [true, false, false])).toBe(
+      false
+    );
+    expect(
+      evaluateBooleanFilter("((1 OR 2) AND (3 OR 4))", [
+        false,
+        true,
+        false,
+        true
+      ])
+    ).toBe(true);
+  });
+
+  it("evaluates NOT with the highest precedence", () => {
+    expect(evaluateBooleanFilter("NOT 1", [true])).toBe(false);
+    expect(evaluateBooleanFilter("NOT 1", [false])).toBe(true);
+    expect(evaluateBooleanFilter("NOT 1 AND 2", [false, true])).toBe(true);
+    expect(evaluateBooleanFilter("NOT (1 AND 2)", [true, true])).toBe(false);
+    expect(evaluateBooleanFilter("NOT NOT 1", [true])).toBe(true);
+    expect(evaluateBooleanFilter("1 AND NOT 2", [true, false])).toBe(true);
+  });
+
+  it("accepts lowercase operators and extra whitespace", () => {
+    expect(
+      evaluateBooleanFilter("  1 and (2 or not 3) ", [true, false, false])
+    ).toBe(true);
+    expect(evaluateBooleanFilter("1AND(2)", [true, true])).toBe(true);
+  });
+
+  it("supports condition numbers above 9", () => {
+    const results = new Array(12).fill(false);
+    results[11] = true;
+    expect(evaluateBooleanFilter("1 OR 12", results)).toBe(true);
+  });
+
+  describe("malformed filters", () => {
+    it("rejects an empty filter", () => {
+      expect(() => evaluateBooleanFilter("", [true])).toThrow(
+        "filter is empty"
+      );
+      expect(() => evaluateBooleanFilter("   ", [true])).toThrow(
+        "filter is empty"
+      );
+    });
+
+    it("rejects unbalanced parentheses", () => {
+      expect(() =>
+        evaluateBooleanFilter("1 AND (2 OR 3", [true, true, true])
+      ).toThrow('expected ")" at end of filter');
+      expect(() => evaluateBooleanFilter("1 AND 2)", [true, true])).toThrow(
+        'unexpected ")" at position 8'
+      );
+    });
+
+    it("rejects a missing operand", () => {
+      expect(() => evaluateBooleanFilter("1 AND", [true])).toThrow(
+        "expected a condition number at end of filter"
+      );
+      expect(() => evaluateBooleanFilter("OR 1", [true])).toThrow(
+        "expected a condition number at position 1"
+      );
+      expect(() => evaluateBooleanFilter("1 AND ()", [true])).toThrow(
+        "expected a condition number at position 8"
+      );
+    });
+
+    it("rejects a missing operator", () => {
+      expect(() => evaluateBooleanFilter("1 2", [true, true])).toThrow(
+        'unexpected "2" at position 3'
+      );
+    });
+
+    it("rejects unknown words and symbols", () => {
+      expect(() => evaluateBooleanFilter("1 XOR 2", [true, true])).toThrow(
+        'unexpected "XOR" at position 3'
+      );
+      expect(() => evaluateBooleanFilter("1 && 2", [true, true])).toThrow(
+        'unexpected "&" at position 3'
+      );
+    });
+
+    it("rejects conditions that do not exist", () => {
+      expect(() => evaluateBooleanFilter("1 OR 3", [true, true])).toThrow(
+        "condition 3 does not exist (2 defined) at position 6"
+      );
+      expect(() => evaluateBooleanFilter("0", [true])).toThrow(
+        "condition 0 does not exist"
+      );
+    });
+
+    it("includes the filter in the error message", () => {
+      expect(() => evaluateBooleanFilter("1 AND", [true])).toThrow(
+        'Invalid boolean filter "1 AND"'
+      );
+    });
+  });
+});
+
+describe("evaluateCriterion", () => {
+  const criterion = (operator, rightValue) => ({ operator, rightValue });
+
+  it("compares numeric fields as numbers", () => {
+    expect(evaluateCriterion(criterion("GT", "1000"), 5000, "CURRENCY")).toBe(
+      true
+    );
+    // As strings "900" > "1000" would be true
+    expect(evaluateCriterion(criterion("GT", "1000"), 900, "DOUBLE")).toBe(
+      false
+    );
+    expect(evaluateCriterion(criterion("EQUAL", "25"), 25.0, "PERCENT")).toBe(
+      true
+    );
+    expect(evaluateCriterion(criterion("LE", "3"), "3", "INTEGER")).toBe(true);
+  });
+
+  it("compares checkboxes as booleans", () => {
+    expect(evaluateCriterion(criterion("EQUAL", "true"), true, "BOOLEAN")).toBe(
+      true
+    );
+    expect(
+      evaluateCriterion(criterion("EQUAL", "false"), false, "BOOLEAN")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("EQUAL", "false"), null, "BOOLEAN")
+    ).toBe(true);
+    expect(evaluateCriterion(criterion("NE", "true"), true, "BOOLEAN")).toBe(
+      false
+    );
+  });
+
+  it("compares dates and datetimes chronologically", () => {
+    expect(
+      evaluateCriterion(criterion("GE", "2025-01-01"), "2025-01-01", "DATE")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("LT", "2025-01-01"), "2024-12-31", "DATE")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(
+        criterion("GT", "2025-01-01T00:00:00.000Z"),
+        "2025-01-01T09:30:00.000Z",
+        "DATETIME"
+      )
+    ).toBe(true);
+  });
+
+  it("compares multi-select picklists as sets", () => {
+    expect(
+      evaluateCriterion(criterion("EQUAL", "B;A"), "A;B", "MULTIPICKLIST")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("CONTAINS", "B"), "A;B;C", "MULTIPICKLIST")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("CONTAINS", "D"), "A;B;C", "MULTIPICKLIST")
+    ).toBe(false);
+  });
+
+  it("compares picklists and text as strings", () => {
+    expect(
+      evaluateCriterion(
+        criterion("EQUAL", "Closed Lost"),
+        "Closed Lost",
+        "PICKLIST"
+      )
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("CONTAINS", "Corp"), "Acme Corp", "STRING")
+    ).toBe(true);
+  });
+
+  it("never matches ordering operators against blank values", () => {
+    expect(evaluateCriterion(criterion("GT", "0"), null, "CURRENCY")).toBe(
+      false
+    );
+    expect(evaluateCriterion(criterion("LT", "0"), undefined, "CURRENCY")).toBe(
+      false
+    );
+  });
+
+  it("treats blank values as equal to a blank right value", () => {
+    expect(evaluateCriterion(criterion("EQUAL", ""), null, "STRING")).toBe(
+      true
+    );
+    expect(evaluateCriterion(criterion("NE", "x"), null, "STRING")).toBe(true);
+  });
+
+  it("infers the type from the value when metadata is missing", () => {
+    expect(evaluateCriterion(criterion("GT", "1000"), 5000)).toBe(true);
+    expect(evaluateCriterion(criterion("EQUAL", "true"), true)).toBe(true);
+    expect(evaluateCriterion(criterion("EQUAL", "New"), "New")).toBe(true);
+  });
+});
+
+describe("evaluateCriterion operators", () => {
+  const criterion = (operator, rightValue) => ({ operator, rightValue });
+
+  it("matches string prefixes, suffixes and negated contains", () => {
+    expect(
+      evaluateCriterion(criterion("STARTS_WITH", "Acme"), "Acme Corp", "STRING")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("ENDS_WITH", "Corp"), "Acme Corp", "STRING")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("ENDS_WITH", "Acme"), "Acme Corp", "STRING")
+    ).toBe(false);
+    expect(
+      evaluateCriterion(criterion("NOT_CONTAINS", "Inc"), "Acme Corp", "STRING")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("STARTS_WITH", "A"), null, "STRING")
+    ).toBe(false);
+  });
+
+  it("checks for blank values with IS_NULL and IS_NOT_NULL", () => {
+    expect(evaluateCriterion(criterion("IS_NULL"), null, "STRING")).toBe(true);
+    expect(evaluateCriterion(criterion("IS_NULL"), "", "STRING")).toBe(true);
+    expect(evaluateCriterion(criterion("IS_NULL"), "x", "STRING")).toBe(false);
+    expect(
+      evaluateCriterion(criterion("IS_NOT_NULL"), "", "MULTIPICKLIST")
+    ).toBe(false);
+    expect(evaluateCriterion(criterion("IS_NOT_NULL"), 0, "CURRENCY")).toBe(
+      true
+    );
+  });
+
+  it("uses SOQL semantics for INCLUDES and EXCLUDES", () => {
+    const value = "Red;Blue";
+    expect(
+      evaluateCriterion(
+        criterion("INCLUDES", "Red;Blue"),
+        value,
+        "MULTIPICKLIST"
+      )
+    ).toBe(true);
+    expect(
+      evaluateCriterion(
+        criterion("INCLUDES", "Red;Green"),
+        value,
+        "MULTIPICKLIST"
+      )
+    ).toBe(false);
+    expect(
+      evaluateCriterion(
+        criterion("INCLUDES", "Green,Blue"),
+        value,
+        "MULTIPICKLIST"
+      )
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("EXCLUDES", "Green"), value, "MULTIPICKLIST")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("EXCLUDES", "Red"), value, "MULTIPICKLIST")
+    ).toBe(false);
+  });
+
+  it("accepts operator aliases regardless of case", () => {
+    expect(
+      evaluateCriterion(criterion("equals", "New"), "New", "PICKLIST")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("Not Equal", "New"), "Open", "PICKLIST")
+    ).toBe(true);
+    expect(
+      evaluateCriterion(criterion("begins-with", "Ac"), "Acme", "STRING")
+    ).toBe(true);
+  });
+
+  it("never matches an unknown operator", () => {
+    expect(
+      evaluateCriterion(criterion("SOUNDS_LIKE", "x"), "x", "STRING")
+    ).toBe(false);
+    expect(evaluateCriterion(criterion(undefined, "x"), "x", "STRING")).toBe(
+      false
+    );
+  });
+});
+
+describe("coerceCriterionValue", () => {
+  it("returns null for blank and unparseable values", () => {
+    expect(coerceCriterionValue("", "DOUBLE")).toBeNull();
+    expect(coerceCriterionValue("abc", "CURRENCY")).toBeNull();
+    expect(coerceCriterionValue("not a date", "DATE")).toBeNull();
+    expect(coerceCriterionValue(undefined, "STRING")).toBeNull();
+  });
+});
+
+describe("getRecordFieldPath", () => {
+  it("keeps relationship paths whole and lowercase", () => {
+    expect(getRecordFieldPath("{!Record.StageName}")).toBe("stagename");
+    expect(getRecordFieldPath("{!Record.Account.Industry}")).toBe(
+      "account.industry"
+    );
+    expect(getRecordFieldPath("{!Record.Owner.Profile.Name}")).toBe(
+      "owner.profile.name"
+    );
+  });
+
+  it("returns null for anything other than a Record merge field", () => {
+    expect(getRecordFieldPath("{!$User.Id}")).toBeNull();
+    expect(getRecordFieldPath("StageName")).toBeNull();
+    expect(getRecordFieldPath(undefined)).toBeNull();
+  });
+});
+
+describe("collectVisibilityFieldPaths", () => {
+  const rule = (...fields) => ({
+    criteria: fields.map((field) => ({
+      leftValue: `{!Record.${field}}`,
+      operator: "EQUAL",
+      rightValue: "x"
+    }))
+  });
+
+  it("collects fields from section, container, field and blank space rules", () => {
+    const sections = {
+      sec1: {
+        visibilityRule: rule("Account.Industry"),
+        container: { visibilityRules: [rule("Owner.Profile.Name")] },
+        columns: {
+          col1: {
+            fields: {
+              Name: { visibilityRule: rule("StageName", "Account.Industry") },
+              spacer: { isBlankSpace: true, visibilityRule: rule("Amount") },
+              Phone: { visibilityRule: null }
+            }
+          }
+        }
+      }
+    };
+
+    expect(collectVisibilityFieldPaths(sections).sort()).toEqual([
+      "account.industry",
+      "amount",
+      "owner.profile.name",
+      "stagename"
+    ]);
+  });
+
+  it("returns an empty list when there are no rules", () => {
+    expect(collectVisibilityFieldPaths({})).toEqual([]);
+    expect(collectVisibilityFieldPaths(null)).toEqual([]);
+  });
+});
+
+describe("parseGlobalMergeField", () => {
+  it("parses $User, $Permission and $Client references", () => {
+    expect(parseGlobalMergeField("{!$User.Profile.Name}")).toEqual({
+      key: "$user.profile.name",
+      global: "User",
+      path: "Profile.Name"
+    });
+    expect(
+      parseGlobalMergeField("{!$Permission.CustomPermission.Approve_Deals}")
+    ).toEqual({
+      key: "$permission.custompermission.approve_deals",
+      global: "Permission",
+      path: "CustomPermission.Approve_Deals"
+    });
+    expect(parseGlobalMergeField("{!$Client.FormFactor}").key).toBe(
+      "$client.formfactor"
+    );
+  });
+
+  it("resolves $Profile through the running user", () => {
+    expect(parseGlobalMergeField("{!$Profile.Name}")).toEqual({
+      key: "$user.profile.name",
+      global: "User",
+      path: "Profile.Name"
+    });
+  });
+
+  it("returns null for record fields and unsupported globals", () => {
+    expect(parseGlobalMergeField("{!Record.Name}")).toBeNull();
+    expect(parseGlobalMergeField("{!$Organization.Name}")).toBeNull();
+    expect(parseGlobalMergeField(null)).toBeNull();
+  });
+});
+
+describe("collectGlobalMergeFields", () => {
+  it("collects each global reference once", () => {
+    const criterion = (leftValue) => ({
+      leftValue,
+      operator: "EQUAL",
+      rightValue: "x"
+    });
+    const sections = {
+      sec1: {
+        visibilityRule: {
+          criteria: [
+            criterion("{!$User.Profile.Name}"),
+            criterion("{!Record.Name}")
+          ]
+        },
+        columns: {
+          col1: {
+            fields: {
+              Name: {
+                visibilityRule: {
+                  criteria: [
+                    criterion("{!$Profile.Name}"),
+                    criterion("{!$Client.FormFactor}")
+                  ]
+                }
+              }
+            }
+          }
+        }
+      }
+    };
+
+    expect(
+      collectGlobalMergeFields(sections).map((reference) => reference.key)
+    ).toEqual(["$user.profile.name", "$client.formfactor"]);
+  });
+});
+
+describe("buildFieldSetSection", () => {
+  it("alternates fields between two columns in field set order", () => {
+    const section = buildFieldSetSection({
+      label: "Quick Create",
+      fields: [
+        { fieldPath: "Name", required: true },
+        { fieldPath: "Phone", required: false },
+        { fieldPath: "Industry", required: false }
+      ]
+    });
+
+    expect(section.label).toBe("Quick Create");
+    expect(Object.keys(section.columns.fieldSetColumn1.fields)).toEqual([
+      "Name",
+      "Industry"
+    ]);
+    expect(Object.keys(section.columns.fieldSetColumn2.fields)).toEqual([
+      "Phone"
+    ]);
+    expect(section.columns.fieldSetColumn1.fields.Name.isRequired).toBe(true);
+    expect(section.columns.fieldSetColumn1.fields.Industry.order).toBe(2);
+  });
+
+  it("returns null for a missing or empty field set", () => {
+    expect(buildFieldSetSection(null)).toBeNull();
+    expect(buildFieldSetSection({ label: "Empty", fields: [] })).toBeNull();
+  });
+});
+
+describe("column layouts", () => {
+  const component = (componentName, identifier, properties) => ({
+    componentInstance: {
+      componentName,
+      identifier,
+      componentInstanceProperties: Object.entries(properties).map(
+        ([name, value]) => ({ name, value })
+      )
+    }
+  });
+  const field = (fieldName) => ({
+    fieldInstance: { fieldItem: `Record.${fieldName}` }
+  });
+
+  it("orders columns as listed in the section, not by identifier", () => {
+    const sections = parseFlexiPageJson({
+      flexiPageRegions: [
+        {
+          name: "main",
+          type: "Region",
+          itemInstances: [
+            component("flexipage:fieldSection", "flexipage_fieldSection", {
+              columns: "sectionColumns",
+              label: "Info"
+            })
+          ]
+        },
+        {
+          name: "sectionColumns",
+          type: "Facet",
+          itemInstances: [
+            component("flexipage:column", "flexipage_column4", { body: "a" }),
+            component("flexipage:column", "flexipage_column2", { body: "b" }),
+            component("flexipage:column", "flexipage_column7", { body: "c" })
+          ]
+        },
+        { name: "a", type: "Facet", itemInstances: [field("Name")] },
+        { name: "b", type: "Facet", itemInstances: [field("Phone")] },
+        { name: "c", type: "Facet", itemInstances: [field("Website")] }
+      ]
+    });
+
+    const { columns } = sections.sectionColumns;
+    expect([columns.a.order, columns.b.order, columns.c.order]).toEqual([
+      0, 1, 2
+    ]);
+  });
+
+  it("parses the columnLayout override", () => {
+    expect(parseColumnLayout("3")).toBe(3);
+    expect(parseColumnLayout(" 4 columns")).toBe(4);
+    expect(parseColumnLayout("")).toBeNull();
+    expect(parseColumnLayout("5")).toBeNull();
+    expect(parseColumnLayout(undefined)).toBeNull();
+  });
+
+  it("sizes columns for the column count", () => {
+    expect(getColumnClass(1)).toBe("slds-col slds-size_1-of-1");
+    expect(getColumnClass(3)).toBe(
+      "slds-col slds-size_1-of-3 slds-p-horizontal_small"
+    );
+  });
+
+  it("redistributes fields in reading order", () => {
+    const column = (fieldIds) => ({
+      fieldIds,
+      fields: Object.fromEntries(fieldIds.map((id) => [id, { id }])),
+      enhancedFields: fieldIds.map((fieldId) => ({ fieldId }))
+    });
+    const columns = redistributeColumns(
+      [column(["A", "B", "C"]), column(["D", "E"])],
+      3
+    );
+
+    expect(columns.map((c) => c.fieldIds)).toEqual([
+      ["A", "B"],
+      ["C", "D"],
+      ["E"]
+    ]);
+    expect(columns[1].enhancedFields.map((f) => f.fieldId)).toEqual(["C", "D"]);
+    expect(Object.keys(columns[2].fields)).toEqual(["E"]);
+    expect(columns.map((c) => c.columnId)).toEqual([
+      "column1",
+      "column2",
+      "column3"
+    ]);
+  });
+});
+
+describe("stackColumns", () => {
+  const column = (fieldIds) => ({
+    fieldIds,
+    fields: Object.fromEntries(fieldIds.map((id) => [id, { id }])),
+    enhancedFields: fieldIds.map((fieldId) => ({ fieldId }))
+  });
+
+  it("interleaves FlexiPage columns row by row", () => {
+    const [stacked] = stackColumns(
+      [column(["A", "B", "C"]), column(["D"])],
+      true
+    );
+
+    expect(stacked.fieldIds).toEqual(["A", "D", "B", "C"]);
+    expect(stacked.enhancedFields.map((f) => f.fieldId)).toEqual([
+      "A",
+      "D",
+      "B",
+      "C"
+    ]);
+    expect(stacked.class).toBe("slds-col slds-size_1-of-1");
+  });
+
+  it("joins columns that are already in reading order", () => {
+    const columns = stackColumns([column(["A", "B"]), column(["C"])], false);
+
+    expect(columns).toHaveLength(1);
+    expect(columns[0].fieldIds).toEqual(["A", "B", "C"]);
+  });
+});
+
+describe("isSameFieldValue", () => {
+  it("treats blank values as equal", () => {
+    expect(isSameFieldValue(null, "")).toBe(true);
+    expect(isSameFieldValue(undefined, null)).toBe(true);
+  });
+
+  it("compares other values as text", () => {
+    expect(isSameFieldValue(5, "5")).toBe(true);
+    expect(isSameFieldValue(false, "")).toBe(false);
+    expect(isSameFieldValue("Acme", "Acme Corp")).toBe(false);
+  });
+});
+
+describe("findSaveConflicts", () => {
+  const original = { name: "Acme", phone: "555-0100", industry: "Retail" };
+
+  it("lists only the fields another user changed", () => {
+    const latest = { name: "Acme Corp", phone: "555-0100", industry: "Retail" };
+
+    const conflicts = findSaveConflicts(
+      ["Name", "Phone", "Industry"],
+      original,
+      latest,
+      { Phone: "555-0199" }
+    );
+
+    expect(conflicts).toEqual([
+      {
+        fieldName: "Name",
+        originalValue: "Acme",
+        theirValue: "Acme Corp",
+        yourValue: "Acme",
+        isChangedByYou: false
+      }
+    ]);
+  });
+
+  it("flags fields both users changed", () => {
+    const latest = { ...original, industry: "Banking" };
+
+    const [conflict] = findSaveConflicts(
+      ["Industry", "industry"],
+      original,
+      latest,
+      { Industry: "Energy" }
+    );
+
+    expect(conflict.isChangedByYou).toBe(true);
+    expect(conflict.yourValue).toBe("Energy");
+    expect(conflict.theirValue).toBe("Banking");
+  });
+
+  it("returns nothing when the record is unchanged", () => {
+    expect(findSaveConflicts(["Name"], original, { ...original }, {})).toEqual(
+      []
+    );
+  });
+});
+
+describe("parseSaveError", () => {
+  it("separates page, field and duplicate errors", () => {
+    const error = {
+      body: {
+        message: "An error occurred while trying to update the record.",
+        output: {
+          errors: [
+            {
+              errorCode: "DUPLICATES_DETECTED",
+              message: "You're creating a duplicate record.",
+              duplicateRecordError: {
+                matchResults: [
+                  { apiName: "Account", matchRecordIds: ["001A", "001B"] },
+                  { apiName: "Account", matchRecordIds: ["001A"] }
+                ]
+              }
+            }
+          ],
+          fieldErrors: {
+            Phone: [
+              {
+                errorCode: "FIELD_CUSTOM_VALIDATION_EXCEPTION",
+                field: "Phone",
+                fieldLabel: "Phone",
+                message: "Phone must have 10 digits"
+              }
+            ]
+          }
+        }
+      }
+    };
+
+    expect(parseSaveError(error)).toEqual({
+      pageErrors: ["You're creating a duplicate record."],
+      fieldErrors: [
+        {
+          fieldName: "Phone",
+          fieldLabel: "Phone",
+          message: "Phone must have 10 digits"
+        }
+      ],
+      duplicateRecordIds: ["001A", "001B"]
+    });
+  });
+
+  it("falls back to the body message when there's no output", () => {
+    expect(
+      parseSaveError({ body: { message: "Insufficient access" } })
+    ).toEqual({
+      pageErrors: ["Insufficient access"],
+      fieldErrors: [],
+      duplicateRecordIds: []
+    });
+  });
+
+  it("handles errors without a body", () => {
+    expect(parseSaveError(new Error("Network down")).pageErrors).toEqual([
+      "Network down"
+    ]);
+    expect(parseSaveError(undefined).pageErrors).toEqual([
+      "An unexpected error occurred"
+    ]);
+  });
+});
+
+describe("toSObjectRecord", () => {
+  it("restores API name casing and drops relationship paths", () => {
+    const record = toSObjectRecord(
+      { name: "Acme", my_field__c: 5, "owner.name": "Pat", industry: null },
+      { name: "Name", my_field__c: "My_Field__c" }
+    );
+
+    expect(record).toEqual({ Name: "Acme", My_Field__c: 5, industry: null });
+  });
+});
@@ -12,14 +12,61 @@ import { LightningElement, api, track, wire } from "lwc";
 import getFieldValues from "@salesforce/apex/FlexiPageToolingService.getFieldValues";
 import getFlexiPageMetadata from "@salesforce/apex/FlexiPageToolingService.getFlexiPageMetadata";
 import getUiFormatSpecificationSet from "@salesforce/apex/FlexiPageToolingService.getUiFormatSpecificationSet";
-import { parseFlexiPageJson } from "./utils";
+import getFieldSetFields from "@salesforce/apex/FlexiPageToolingService.getFieldSetFields";
+import getLatestFieldValues from "@salesforce/apex/FlexiPageToolingService.getLatestFieldValues";
+import getSavedRecord from "@salesforce/apex/FlexiPageToolingService.getSavedRecord";
+import getVisibilityContext from "@salesforce/apex/FlexiPageToolingService.getVisibilityContext";
+import getRecordPageContext from "@salesforce/apex/FlexiPageMetadataService.getRecordPageContext";
+import resolveFlexiPageName from "@salesforce/apex/FlexiPageMetadataService.resolveFlexiPageName";
+import FORM_FACTOR from "@salesforce/client/formFactor";
+import {
+  parseFlexiPageJson,
+  evaluateBooleanFilter,
+  evaluateCriterion,
+  getRecordFieldPath,
+  collectVisibilityFieldPaths,
+  parseGlobalMergeField,
+  collectGlobalMergeFields,
+  buildFieldSetSection,
+  parseColumnLayout,
+  getColumnClass,
+  redistributeColumns,
+  stackColumns,
+  isSameFieldValue,
+  findSaveConflicts,
+  parseSaveError,
+  toSObjectRecord
+} from "./utils";
 import { createRecord, updateRecord } from "lightning/uiRecordApi";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
-import { FlowAttributeChangeEvent } from "lightning/flowSupport";
+import {
+  FlowAttributeChangeEvent,
+  FlowNavigationNextEvent,
+  FlowNavigationFinishEvent
+} from "lightning/flowSupport";
 import { getObjectInfo } from "lightning/uiObjectInfoApi";
 import { NavigationMixin } from "lightning/navigation";
+import LightningConfirm from "lightning/confirm";
+import {
+  IsConsoleNavigation,
+  EnclosingTabId,
+  disableTabClose
+} from "lightning/platformWorkspaceApi";
 import { refreshApex } from "@salesforce/apex";
 
+// flexiPageName value that resolves the page from App Builder assignments
+const AUTO_FLEXIPAGE_NAME = "auto";
+
+// Key of the section built from fieldSetName, rendered after the FlexiPage sections
+const FIELD_SET_SECTION_ID = "fieldSetSection";
+
+// Shown by Flow when Next is blocked because saveOnNext is still saving
+const SAVING_MESSAGE = "Saving…";
+
+// Shown instead while the save waits on the conflict dialog
+const CONFLICT_MESSAGE =
+  "Another user changed this record. Choose Overwrite, Merge or Reload to continue.";
+
 // Define an array of field names that should be read-only (not editable)
 const readOnlyFields = [
   "CreatedById",
@@ -44,7 +91,7 @@ export default class FlexipageRecordForm extends NavigationMixin(
     this._recordId = value;
   }
   @api objectApiName; // The API name of the object associated with the record
-  @api flexiPageName; // The developer name of the FlexiPage to be used for rendering the form
+  @api flexiPageName; // The developer name of the FlexiPage to be used for rendering the form, or "auto"
   @api altField; // An alternative field to be used for fetching record data
   @api isReadOnly = false; // A boolean indicating whether the form should be read-only or editable
   @api debugEnabled = false; // A boolean indicating whether debug mode should be enabled
@@ -58,19 +105,34 @@ export default class FlexipageRecordForm extends NavigationMixin(
   set varRecord(value) {
     this._varRecord = value;
   }
+  @api inputRecord; // Flow record variable that pre-populates the form without loading from the server
+  @api inputRecords; // Flow record collection, edited with one form per record
+  @api recordIds; // Ids of existing records, edited with one form per record when inputRecords is empty
+  @api collectionDisplay = "cards"; // How collection forms are shown: "cards" stacks them, "tabs" shows one per tab
+  _outputRecords = []; // Internal variable to store the edited collection
+  @api
+  get outputRecords() {
+    return this._outputRecords;
+  }
+  set outputRecords(value) {
+    this._outputRecords = value;
+  }
   @api flowContext; // A boolean indicating whether the component is being used within a Flow context
+  @api saveOnNext = false; // In Flow, create or update the record when the user clicks Next
+  @api availableActions = []; // Navigation actions Flow offers on this screen, e.g. NEXT or FINISH
   @api cancelLabel = "Cancel"; // The label for the cancel button
   @api saveLabel = "Save"; // The label for the save button
   @api excludedFields = ""; // A comma-separated list of field API names to exclude from the layout
   @api defaultValues = "";
-  @api fieldPageName = "";
+  @api fieldPageName = ""; // Field on the record holding the FlexiPage to render; blank values fall back to flexiPageName
+  @api fieldSetName = ""; // Field set rendered on its own or below the FlexiPage layout
+  @api columnLayout = ""; // Overrides the FlexiPage column count: 1, 2, 3 or 4
+  @api responsiveBreakpoint = 600; // Container width in pixels below which columns stack; 0 never stacks
   @api useFieldHistory = false;
 
   // Output-only properties for Flow compatibility
   @api enableVisibilityRules = false;
-  @api columnLayout = "";
   @api customCssClass = "";
-  @api fieldSetName = "";
   @api debugMode = false;
   @api showSectionHeaders = false;
   @api highlightRequiredFields = false;
@@ -99,10 +161,166 @@ export default class FlexipageRecordForm extends NavigationMixin(
     return excludedFieldsList.map((field) => field.toLowerCase());
   }
 
+  @api
+  get isDirty() {
+    // True while the form has changes that haven't been saved
+    if (this.isCollectionMode) {
+      return this.collectionIsDirty;
+    }
+    return this.dirtyFields.length > 0;
+  }
+
+  @api
+  validate() {
+    // Flow calls this before Next; invalid fields keep the user on the screen
+    if (this.isCollectionMode) {
+      return this.validateCollection();
+    }
+    if (this.savedForNavigation) {
+      this.savedForNavigation = false;
+      return { isValid: true };
+    }
+    if (this.navigateAfterSave) {
+      // Next was clicked again while the save is running, or while it waits
+      // for the user to resolve a conflict
+      return {
+        isValid: false,
+        errorMessage: this.hasSaveConflicts ? CONFLICT_MESSAGE : SAVING_MESSAGE
+      };
+    }
+    if (this.isReadOnly || !this.editMode) {
+      return { isValid: true };
+    }
+    const invalidFields = this.findInvalidFields(
+      this.template.querySelectorAll("lightning-input-field")
+    );
+    this.setFormValidity(invalidFields.length === 0);
+    if (invalidFields.length === 0) {
+      return this.saveBeforeNavigating();
+    }
+
+    this.revealField(invalidFields[0].fieldId);
+    return {
+      isValid: false,
+      errorMessage: invalidFields
+        .map(
+          ({ fieldId, message }) => `${this.getFieldLabel(fieldId)}: ${message}`
+        )
+        .join(" ")
+    };
+  }
+
+  saveBeforeNavigating() {
+    // validate() can't wait for a save, so in saveOnNext mode it keeps the
+    // user on the screen and saveRecord repeats the navigation on success
+    const hasChanges = !this.targetRecordId || this.isDirty;
+    if (!this.saveOnNext || !hasChanges) {
+      return { isValid: true };
+    }
+    this.navigateAfterSave = true;
+    this.handleSave();
+    return { isValid: false, errorMessage: SAVING_MESSAGE };
+  }
+
+  navigateAfterSaving() {
+    // Repeats the Next (or Finish) click that started the save
+    this.navigateAfterSave = false;
+    this.savedForNavigation = true;
+    if (this.availableActions.includes("NEXT")) {
+      this.dispatchEvent(new FlowNavigationNextEvent());
+    } else if (this.availableActions.includes("FINISH")) {
+      this.dispatchEvent(new FlowNavigationFinishEvent());
+    } else {
+      this.savedForNavigation = false;
+    }
+  }
+
+  @api
+  get changedFields() {
+    // API names of the fields that differ from the loaded record
+    const apiNames = this.getFieldApiNames();
+    return this.dirtyFields.map((key) => apiNames[key] || key);
+  }
+
+  @api
+  get isValid() {
+    // False while a layout-required field is empty or validate() found errors
+    return this.formIsValid;
+  }
+
+  @api
+  get priorRecord() {
+    // The record as it was loaded, before any unsaved changes
+    const record = toSObjectRecord(
+      this.loadedRecordData,
+      this.getFieldApiNames()
+    );
+    if (this.targetRecordId) {
+      record.Id = this.targetRecordId;
+    }
+    return record;
+  }
+
+  get targetRecordId() {
+    // Record a save updates: recordId, or the Id of an input record
+    return this._recordId || this.inputRecord?.Id;
+  }
+
   get showActionButtons() {
     return !this.flowContext;
   }
 
+  get isCollectionMode() {
+    // A record collection or list of Ids renders one form per record
+    return this.inputRecords?.length > 0 || this.recordIds?.length > 0;
+  }
+
+  get showRecordForm() {
+    return !this.isLoading && !this.isCollectionMode;
+  }
+
+  get showCollectionTabs() {
+    return this.collectionDisplay === "tabs";
+  }
+
+  get collectionItems() {
+    // Each record's form gets either the input record or its Id to load.
+    // In tabs mode every form is rendered and the inactive ones are hidden,
+    // so validate() also checks records whose tab hasn't been opened.
+    const isTabs = this.showCollectionTabs;
+    const activeTab = this.activeCollectionTab || "record-0";
+    const objectLabel = this.objectLabel || "Record";
+    const toItem = (index, inputRecord, recordId, label) => {
+      const key = `record-${index}`;
+      let formClass = "slds-m-around_small";
+      if (isTabs) {
+        formClass = key === activeTab ? "" : "slds-hide";
+      }
+      return {
+        key,
+        index,
+        inputRecord,
+        recordId,
+        label,
+        cardTitle: isTabs ? "" : label,
+        formClass
+      };
+    };
+    if (this.inputRecords?.length > 0) {
+      return this.inputRecords.map((record, index) =>
+        toItem(
+          index,
+          record,
+          null,
+          record.Name || `${objectLabel} ${index + 1}`
+        )
+      );
+    }
+    return (this.recordIds || []).map((recordId, index) =>
+      toItem(index, null, recordId, `${objectLabel} ${index + 1}`)
+    );
+  }
+
   // Tracked properties for managing the component's state
   @track sections = []; // An array to store the sections of the form
   @track isOpen = true; // A boolean indicating whether the form is open or closed
@@ -123,6 +341,31 @@ export default class FlexipageRecordForm extends NavigationMixin(
   fieldApiNamesForWire = []; // Fields to fetch via wire
   iconFormatCache = {}; // Cache for icon formatting rules
   _pendingDefaultValues = null; // Deferred default values to apply after render
+  activeTabValues = {}; // Selected tab per tabset, kept across re-renders
+  openAccordionSections = {}; // Open section names per accordion
+  parsedSections = null; // Last parsed layout, re-evaluated as fields are edited
+  visibilityRevision = 0; // Discards stale re-evaluations when edits overlap
+  recordDataBeforeEdit = null; // Values restored when an edit is cancelled
+  visibilityContext = { values: {}, types: {} }; // $User, $Permission and $Client values keyed by merge field
+  resolvedFlexiPageName = null; // Page picked by "auto" mode from the record type, app and profile
+  fieldPageValue; // fieldPageName value the current layout was loaded for (undefined until read)
+  fieldSet = null; // Fields of fieldSetName, in field set order
+  isNarrow = FORM_FACTOR === "Small"; // Stack columns; phones are assumed narrow until measured
+  resizeObserver = null; // Watches the container width for responsive stacking
+  dirtyFields = []; // Lowercase names of fields that differ from the loaded record
+  loadedRecordData = {}; // Values as loaded, the baseline for dirty tracking
+  focusFieldId = null; // Field whose pencil started the edit, focused once rendered
+  formIsValid = true; // Last known validity, published to Flow as isValid
+  isSaving = false; // Shows a spinner over the form while a save is in flight
+  navigateAfterSave = false; // Set by validate() in saveOnNext mode; Flow moves on once the save succeeds
+  savedForNavigation = false; // Lets the validate() call from that navigation through
+  saveConflicts = []; // Fields another user changed since load, shown in the conflict dialog
+  pendingSaveFields = null; // Changes held back while the conflict dialog is open
+  saveErrors = null; // Parsed errors from the last failed save, shown inline and in a summary
+  objectLabel = ""; // Object label, used to name the records in collection mode
+  objectFieldInfos = {}; // Field infos from getObjectInfo by lowercase API name; unwritable fields are left out of saves
+  activeCollectionTab; // Selected record tab in collection mode
+  collectionIsDirty = false; // Whether any record form in collection mode has unsaved changes
 
   // Error handling properties
   get errorMessage() {
@@ -151,12 +394,29 @@ export default class FlexipageRecordForm extends NavigationMixin(
     console.log("Object API Name:", this.objectApiName);
     console.log("Record ID:", this._recordId);
 
+    if (this.isCollectionMode) {
+      this.startCollectionMode();
+      return;
+    }
+
     // Set loading state at the start
     this.isLoading = true;
+    window.addEventListener("beforeunload", this.handleBeforeUnload);
 
-    const { original: defaultValues, lowercase: lookupValues } =
-      this.parseDefaultValues();
     const isNewRecord = !this._recordId || this._recordId.length < 15;
+    const parsedDefaults = this.parseDefaultValues();
+    // Without a recordId, an input record fills the form; its values win over defaultValues
+    const inputValues = isNewRecord
+      ? this.parseInputRecord()
+      : { original: {}, lowercase: {} };
+    const defaultValues = {
+      ...parsedDefaults.original,
+      ...inputValues.original
+    };
+    const lookupValues = {
+      ...parsedDefaults.lowercase,
+      ...inputValues.lowercase
+    };
 
     // Only send original case values to the flow
     if (this.flowContext && Object.keys(defaultValues).length > 0) {
@@ -172,18 +432,23 @@ export default class FlexipageRecordForm extends NavigationMixin(
       this.editMode = true;
       // Use lowercase map for internal recordData
       this.recordData = { ...lookupValues };
+      this.loadedRecordData = { ...lookupValues };
 
-      getFlexiPageMetadata({ developerName: this.flexiPageName })
+      this.loadLayoutMetadata()
         .then(async (result) => {
           try {
             console.log("FlexiPage metadata received");
             // Parse the raw FlexiPage Metadata JSON (has flexiPageRegions at top level)
             this.config = typeof result === "string" ? JSON.parse(result) : result;
 
-            let parsedSections = parseFlexiPageJson(this.config);
+            let parsedSections = this.parseLayout();
             parsedSections = this.removeExcludedFields(parsedSections);
+            await this.loadVisibilityContext(parsedSections);
+            this.calculateVisibility(parsedSections);
+            this.parsedSections = parsedSections;
             this.sections = await this.processSections(parsedSections);
             this.fields = this.collectFields(parsedSections);
+            this.publishLoadedState();
 
             // Store pending defaults and clear loading so the form renders
             this._pendingDefaultValues = defaultValues;
@@ -205,25 +470,168 @@ export default class FlexipageRecordForm extends NavigationMixin(
     }
   }
 
+  startCollectionMode() {
+    // Each record gets its own form, so this component only gathers their
+    // changes. Until a form reports, its record is output as given.
+    this._outputRecords = this.collectionItems.map((item) =>
+      this.getCollectionRecord(item)
+    );
+    if (this.flowContext) {
+      this.dispatchEvent(
+        new FlowAttributeChangeEvent("outputRecords", this._outputRecords)
+      );
+    }
+    this.template.addEventListener(
+      "lightning__flowattributechange",
+      this.handleCollectionChange
+    );
+  }
+
+  getCollectionRecord(item, recordForm) {
+    // The input record (or Id), then the loaded values, then the edits
+    const record = item.inputRecord ? { ...item.inputRecord } : {};
+    if (item.recordId) {
+      record.Id = item.recordId;
+    }
+    if (!recordForm) {
+      return record;
+    }
+    // Input records were never loaded; their priorRecord adds nothing
+    const loadedValues = item.recordId ? recordForm.priorRecord : {};
+    return { ...record, ...loadedValues, ...recordForm.varRecord };
+  }
+
+  // Folds the Flow outputs of the per-record forms into this component's
+  // outputRecords, isDirty and isValid instead of letting them reach Flow
+  handleCollectionChange = (event) => {
+    const recordForm = event.target;
+    const index = Number(recordForm.dataset?.index);
+    if (Number.isNaN(index)) {
+      return;
+    }
+    event.stopPropagation();
+
+    const outputRecords = [...this._outputRecords];
+    outputRecords[index] = this.getCollectionRecord(
+      this.collectionItems[index],
+      recordForm
+    );
+    this._outputRecords = outputRecords;
+    if (this.flowContext) {
+      this.dispatchEvent(
+        new FlowAttributeChangeEvent("outputRecords", this._outputRecords)
+      );
+    }
+
+    const recordForms = [
+      ...this.template.querySelectorAll("c-flexi-page-record-form")
+    ];
+    this.setFormValidity(recordForms.every((form) => form.isValid));
+    const isDirty = recordForms.some((form) => form.isDirty);
+    if (isDirty !== this.collectionIsDirty) {
+      this.collectionIsDirty = isDirty;
+      if (this.flowContext) {
+        this.dispatchEvent(new FlowAttributeChangeEvent("isDirty", isDirty));
+      }
+    }
+  };
+
+  validateCollection() {
+    // Validates the record forms in order and shows the first invalid one
+    const recordForms = this.template.querySelectorAll(
+      "c-flexi-page-record-form"
+    );
+    for (const recordForm of recordForms) {
+      const result = recordForm.validate();
+      if (!result.isValid) {
+        const item = this.collectionItems[Number(recordForm.dataset.index)];
+        this.activeCollectionTab = item.key;
+        return {
+          isValid: false,
+          errorMessage: result.errorMessage
+            ? `${item.label}: ${result.errorMessage}`
+            : item.label
+        };
+      }
+    }
+    return { isValid: true };
+  }
+
+  handleCollectionTabActive(event) {
+    this.activeCollectionTab = event.target.value;
+  }
+
   renderedCallback() {
+    this.observeContainerWidth();
+    this.focusPendingField();
+
     if (this._pendingDefaultValues) {
-      const form = this.template.querySelector("lightning-record-edit-form");
-      if (form) {
-        const inputFields = form.querySelectorAll("lightning-input-field");
-        if (inputFields?.length) {
-          const defaults = this._pendingDefaultValues;
-          this._pendingDefaultValues = null;
-          this.applyDefaultValuesToForm(defaults);
-        }
+      // Each section has its own edit form, so wait for any of their inputs
+      const inputFields = this.template.querySelectorAll(
+        "lightning-input-field"
+      );
+      if (inputFields?.length) {
+        const defaults = this._pendingDefaultValues;
+        this._pendingDefaultValues = null;
+        this.applyDefaultValuesToForm(defaults);
       }
     }
   }
 
+  disconnectedCallback() {
+    this.template.removeEventListener(
+      "lightning__flowattributechange",
+      this.handleCollectionChange
+    );
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    window.removeEventListener("beforeunload", this.handleBeforeUnload);
+  }
+
+  // Lets the browser warn before a reload or closing the window drops changes
+  handleBeforeUnload = (event) => {
+    if (this.isDirty) {
+      event.preventDefault();
+      event.returnValue = "";
+    }
+  };
+
+  @wire(IsConsoleNavigation) isConsoleNavigation;
+  @wire(EnclosingTabId) enclosingTabId;
+
+  observeContainerWidth() {
+    // Stacks the columns when the component is narrower than
+    // responsiveBreakpoint, e.g. in a sidebar or a Flow screen on a phone
+    if (this.resizeObserver || typeof ResizeObserver === "undefined") {
+      return;
+    }
+    this.resizeObserver = new ResizeObserver((entries) => {
+      const width = entries[0]?.contentRect.width;
+      if (!width) {
+        return; // Hidden, e.g. in an inactive tab
+      }
+      const isNarrow = width < Number(this.responsiveBreakpoint || 0);
+      if (isNarrow !== this.isNarrow) {
+        this.isNarrow = isNarrow;
+      }
+    });
+    this.resizeObserver.observe(this.template.host);
+  }
+
   @wire(getObjectInfo, { objectApiName: "$objectApiName" })
   handleResult({ error, data }) {
     // This method is a wire adapter that retrieves the object information
     if (data) {
       const objectInformation = data;
+      this.objectLabel = objectInformation.label;
+      this.objectFieldInfos = Object.fromEntries(
+        Object.values(objectInformation.fields || {}).map((fieldInfo) => [
+          fieldInfo.apiName.toLowerCase(),
+          fieldInfo
+        ])
+      );
       const iconUrl = objectInformation.themeInfo.iconUrl;
 
       // If showIcon is true and iconUrl is not empty
@@ -244,7 +652,7 @@ export default class FlexipageRecordForm extends NavigationMixin(
     // This method loads the FlexiPage configuration
     console.log("loadFlexiPageConfig called");
 
-    getFlexiPageMetadata({ developerName: this.flexiPageName })
+    this.loadLayoutMetadata()
       .then((result) => {
         console.log("FlexiPage config loaded - RAW RESULT:");
         console.log(JSON.stringify(result, null, 2));
@@ -268,6 +676,106 @@ export default class FlexipageRecordForm extends NavigationMixin(
       });
   }
 
+  async loadLayoutMetadata() {
+    // Loads the FlexiPage along with the field set, if any. A field set on its
+    // own renders without a FlexiPage, using an empty page in its place.
+    const [developerName, fieldSet] = await Promise.all([
+      this.getFlexiPageName(),
+      this.fieldSetName
+        ? getFieldSetFields({
+            objectApiName: this.objectApiName,
+            fieldSetName: this.fieldSetName
+          })
+        : null
+    ]);
+    this.fieldSet = fieldSet;
+    if (!developerName && fieldSet) {
+      return { flexiPageRegions: [] };
+    }
+    return getFlexiPageMetadata({ developerName });
+  }
+
+  parseLayout() {
+    // Parses the FlexiPage config and appends the field set section
+    const parsedSections = parseFlexiPageJson(this.config);
+    const fieldSetSection = buildFieldSetSection(this.fieldSet);
+    if (fieldSetSection) {
+      parsedSections[FIELD_SET_SECTION_ID] = fieldSetSection;
+    }
+    return parsedSections;
+  }
+
+  async getFlexiPageName() {
+    // Returns the page named by the record's fieldPageName field, falling back
+    // to flexiPageName. "auto" resolves the page assigned in App Builder to the
+    // record's record type, the current app and the user's profile
+    const pageName = (await this.getFieldPageValue()) || this.flexiPageName;
+    if ((pageName || "").trim().toLowerCase() !== AUTO_FLEXIPAGE_NAME) {
+      return pageName;
+    }
+    if (this.resolvedFlexiPageName) {
+      return this.resolvedFlexiPageName;
+    }
+
+    const isNewRecord = !this._recordId || this._recordId.length < 15;
+    const context = await getRecordPageContext({
+      objectApiName: this.objectApiName,
+      recordId: isNewRecord ? null : this._recordId,
+      // New records use the record type from default values or the Flow record
+      recordTypeId:
+        this.recordData.recordtypeid || this._varRecord?.RecordTypeId || null
+    });
+    // Cacheable, so the Metadata API is only read once per record type and app
+    const developerName = await resolveFlexiPageName({
+      objectApiName: context.objectApiName,
+      appName: context.appName,
+      recordTypeName: context.recordTypeName,
+      formFactor: FORM_FACTOR
+    });
+    if (!developerName) {
+      throw new Error(
+        `No Lightning record page is assigned to ${this.objectApiName} for this record type, app and profile.`
+      );
+    }
+    console.log("Resolved FlexiPage:", developerName);
+    this.resolvedFlexiPageName = developerName;
+    return developerName;
+  }
+
+  async getFieldPageValue() {
+    // Reads the fieldPageName field once per layout load. Existing records are
+    // queried with getFieldValues; new records use default values or the Flow record.
+    if (!this.fieldPageName) {
+      return null;
+    }
+    if (this.fieldPageValue === undefined) {
+      const isNewRecord = !this._recordId || this._recordId.length < 15;
+      let value;
+      if (isNewRecord) {
+        value =
+          this.recordData[this.fieldPageName.toLowerCase()] ||
+          this._varRecord?.[this.fieldPageName];
+      } else {
+        const result = await getFieldValues({
+          recordId: this._recordId,
+          objectApiName: this.objectApiName,
+          fieldApiNames: [this.fieldPageName]
+        });
+        value = this.mapFieldValues(result?.values || {})[
+          this.fieldPageName.toLowerCase()
+        ];
+      }
+      this.fieldPageValue = this.normalizeFieldPageValue(value);
+      console.log("FlexiPage from fieldPageName:", this.fieldPageValue);
+    }
+    return this.fieldPageValue;
+  }
+
+  normalizeFieldPageValue(value) {
+    // Blank values mean "use flexiPageName"
+    return typeof value === "string" && value.trim() ? value.trim() : null;
+  }
+
   // Wire adapter to fetch field values
   @wire(getFieldValues, {
     recordId: "$_recordId",
@@ -282,6 +790,7 @@ export default class FlexipageRecordForm extends NavigationMixin(
       console.log("Wire: Received field values from server:", data);
       // New format includes values and metadata
       this.recordData = this.mapFieldValues(data.values || data);
+      this.loadedRecordData = { ...this.recordData };
       this.fieldMetadata = data.metadata || {};
 
       console.log("Wire: Updated recordData:", this.recordData);
@@ -298,6 +807,18 @@ export default class FlexipageRecordForm extends NavigationMixin(
 
       // Only process sections if we have config
       if (this.config) {
+        // A saved change to the fieldPageName field switches the layout
+        if (this.fieldPageName && this.fieldPageValue !== undefined) {
+          const fieldPageValue = this.normalizeFieldPageValue(
+            this.recordData[this.fieldPageName.toLowerCase()]
+          );
+          if (fieldPageValue !== this.fieldPageValue) {
+            console.log("fieldPageName changed, reloading:", fieldPageValue);
+            this.fieldPageValue = fieldPageValue;
+            this.loadFlexiPageConfig();
+            return;
+          }
+        }
         this.processFieldData();
       }
     } else if (error) {
@@ -318,7 +839,7 @@ export default class FlexipageRecordForm extends NavigationMixin(
     console.log("FlexiPage data being parsed:");
     console.log(JSON.stringify(flexiPageData, null, 2));
 
-    let parsedSections = parseFlexiPageJson(flexiPageData);
+    let parsedSections = this.parseLayout();
     console.log("Parsed sections result:");
     console.log(JSON.stringify(parsedSections, null, 2));
 
@@ -331,25 +852,44 @@ export default class FlexipageRecordForm extends NavigationMixin(
     );
     console.log("Filtered fields for getFieldValues:", filteredFields);
 
+    // Fields used only by visibility rules, including relationship paths such
+    // as Account.Industry, are fetched too so the rules can see their values
+    const layoutFields = filteredFields.map((field) => field.toLowerCase());
+    const ruleFields = collectVisibilityFieldPaths(parsedSections).filter(
+      (path) => !layoutFields.includes(path)
+    );
+    console.log("Additional fields for visibility rules:", ruleFields);
+
+    // The fieldPageName field is fetched too so a saved change can swap the layout
+    const pageField = this.fieldPageName && this.fieldPageName.toLowerCase();
+    if (
+      pageField &&
+      !layoutFields.includes(pageField) &&
+      !ruleFields.includes(pageField)
+    ) {
+      ruleFields.push(pageField);
+    }
+
     // Show loading state
     this.isLoading = true;
 
     // Update the fields for the wire adapter - this will trigger wire to fetch data
-    this.fieldApiNamesForWire = [...filteredFields];
+    this.fieldApiNamesForWire = [...filteredFields, ...ruleFields];
   }
 
   async processFieldData() {
     console.log("==== Starting section processing ====");
     // Force complete re-render by creating new sections array
-    // Parse the FlexiPage config directly (has flexiPageRegions at top level)
-    const flexiPageData = this.config;
-    let parsedSections = parseFlexiPageJson(flexiPageData);
+    // Parse the FlexiPage config (has flexiPageRegions at top level) and field set
+    let parsedSections = this.parseLayout();
 
     console.log("==== Applying default values ====");
     this.applyDefaultValues(parsedSections);
 
     parsedSections = this.removeExcludedFields(parsedSections);
+    await this.loadVisibilityContext(parsedSections);
     this.calculateVisibility(parsedSections);
+    this.parsedSections = parsedSections;
 
     // Process new sections
     const newSections = await this.processSections(parsedSections);
@@ -363,6 +903,7 @@ export default class FlexipageRecordForm extends NavigationMixin(
     Promise.resolve().then(() => {
       // Then set the new sections
       this.sections = newSections;
+      this.publishLoadedState();
 
       console.log("==== Finished processing sections ====");
       console.log("Final sections:", this.sections);
@@ -482,16 +1023,99 @@ export default class FlexipageRecordForm extends NavigationMixin(
     }
   }
 
+  async loadVisibilityContext(parsedSections) {
+    // Resolves the $User, $Profile, $Permission and $Client merge fields used by
+    // visibility rules. Failures are logged and leave those values empty.
+    const references = collectGlobalMergeFields(parsedSections);
+    const values = {};
+    const types = {};
+
+    references
+      .filter((reference) => reference.global === "Client")
+      .forEach((reference) => {
+        if (reference.path.toLowerCase() === "formfactor") {
+          values[reference.key] = FORM_FACTOR;
+        }
+      });
+
+    const userFields = references
+      .filter((reference) => reference.global === "User")
+      .map((reference) => reference.path);
+    const permissions = references
+      .filter((reference) => reference.global === "Permission")
+      .map((reference) => reference.path);
+
+    if (userFields.length > 0 || permissions.length > 0) {
+      try {
+        const context = await getVisibilityContext({ userFields, permissions });
+        Object.entries(context.user || {}).forEach(([path, value]) => {
+          values[`$user.${path}`] = value;
+        });
+        Object.entries(context.userMetadata || {}).forEach(([path, info]) => {
+          types[`$user.${path}`] = info.type;
+        });
+        Object.entries(context.permissions || {}).forEach(([name, value]) => {
+          values[`$permission.${name}`] = value;
+          types[`$permission.${name}`] = "BOOLEAN";
+        });
+      } catch (error) {
+        console.error("Error loading visibility context:", error);
+      }
+    }
+
+    console.log("Visibility context:", values);
+    this.visibilityContext = { values, types };
+  }
+
+  resolveMergeField(mergeField) {
+    // Returns the key, value and field type behind a criterion's leftValue
+    const recordPath = getRecordFieldPath(mergeField);
+    if (recordPath) {
+      return {
+        key: recordPath,
+        value: this.recordData[recordPath],
+        type: this.fieldMetadata[recordPath]?.type
+      };
+    }
+    const key = parseGlobalMergeField(mergeField)?.key;
+    return {
+      key,
+      value: key ? this.visibilityContext.values[key] : undefined,
+      type: key ? this.visibilityContext.types[key] : undefined
+    };
+  }
+
   calculateVisibility(parsedSections) {
-    // This method calculates the visibility of fields based on visibility rules
+    // This method calculates the visibility of sections and fields based on visibility rules
     Object.keys(parsedSections).forEach((sectionKey) => {
       const section = parsedSections[sectionKey];
+
+      // A section is hidden when its own rule or any rule on its tab/accordion fails
+      const sectionRules = [
+        section.visibilityRule,
+        ...(section.container?.visibilityRules || [])
+      ].filter(Boolean);
+      section.isVisible = sectionRules.every((rule) =>
+        this.evaluateVisibilityRule(rule)
+      );
+      console.log(
+        `Section: ${sectionKey}, isVisible: ${section.isVisible}, rules: ${sectionRules.length}`
+      );
+      if (!section.isVisible) {
+        return; // No need to evaluate fields of a hidden section
+      }
+
       Object.keys(section.columns).forEach((columnKey) => {
         const column = section.columns[columnKey];
         Object.keys(column.fields).forEach((fieldKey) => {
           const field = column.fields[fieldKey];
-          // Skip visibility calculations for blank spaces
+          // Blank spaces only need evaluating when they carry their own rule
           if (field.isBlankSpace) {
+            if (field.visibilityRule) {
+              field.isVisible = this.evaluateVisibilityRule(
+                field.visibilityRule
+              );
+            }
             return;
           }
           if (field.visibilityRule) {
@@ -505,50 +1129,6 @@ export default class FlexipageRecordForm extends NavigationMixin(
     });
   }
 
-  // Safe boolean expression evaluator without eval or Function constructor
-  evaluateBooleanExpression(expression) {
-    // Handle simple boolean expressions with true/false values
-    // This is a basic parser that handles && and || operators
-
-    // First, replace all boolean values in the expression
-    let evalExpression = expression;
-
-    // Replace 'true' and 'false' strings with actual booleans
-    evalExpression = evalExpression.replace(/\btrue\b/g, "1");
-    evalExpression = evalExpression.replace(/\bfalse\b/g, "0");
-
-    // Split by OR operator first (lower precedence)
-    const orParts = evalExpression.split("||");
-
-    // Evaluate each OR part
-    for (const orPart of orParts) {
-      // Split by AND operator (higher precedence)
-      const andParts = orPart.trim().split("&&");
-      let andResult = true;
-
-      // Evaluate each AND part
-      for (const andPart of andParts) {
-        const value = andPart.trim();
-        if (value === "1") {
-          andResult = andResult && true;
-        } else if (value === "0") {
-          andResult = andResult && false;
-        } else {
-          // If we encounter something unexpected, throw error
-          throw new Error(`Unexpected value in boolean expression: ${value}`);
-        }
-      }
-
-      // If any OR part is true, the whole expression is true
-      if (andResult) {
-        return true;
-      }
-    }
-
-    // If no OR part was true, the expression is false
-    return false;
-  }
-
   evaluateVisibilityRule(visibilityRule) {
     // This method evaluates the visibility rule for a field
     console.log("evaluateVisibilityRule called with rule:", visibilityRule);
@@ -557,68 +1137,36 @@ export default class FlexipageRecordForm extends NavigationMixin(
     }
 
     const results = visibilityRule.criteria.map((criterion) => {
-      const leftFieldApiName = criterion.leftValue
-        .replace("{!Record.", "")
-        .replace("}", "")
-        .toLowerCase();
-      const leftValue = this.recordData[leftFieldApiName];
+      // Record fields (including relationship paths like account.industry)
+      // or $User, $Permission and $Client values from the visibility context
+      const {
+        key: leftFieldApiName,
+        value: leftValue,
+        type: fieldType
+      } = this.resolveMergeField(criterion.leftValue);
       const rightValue = criterion.rightValue;
 
-      let conditionMet = false;
-
-      switch (criterion.operator) {
-        case "CONTAINS":
-          conditionMet = leftValue?.includes(rightValue);
-          break;
-        case "EQUAL":
-          conditionMet = leftValue === rightValue; //EQUAL TO
-          break;
-        case "NE":
-          conditionMet = leftValue !== rightValue; //NOT EQUAL TO
-          break;
-        case "GT":
-          conditionMet = leftValue > rightValue; //GREATER THAN
-          break;
-        case "GE":
-          conditionMet = leftValue >= rightValue; //GREATER THAN OR EQUAL TO
-          break;
-        case "LE":
-          conditionMet = leftValue <= rightValue; //LESS THAN OR EQUAL TO
-          break;
-        case "LT":
-          conditionMet = leftValue < rightValue; //LESS THAN
-          break;
-        default:
-          conditionMet = false;
-      }
+      // Both sides are coerced using the field's type (number, date, checkbox...)
+      const conditionMet = evaluateCriterion(criterion, leftValue, fieldType);
 
       console.log(
-        `Criterion: ${JSON.stringify(criterion)}, leftFieldApiName: ${leftFieldApiName}, leftValue: ${leftValue}, rightValue: ${rightValue}, conditionMet: ${conditionMet}`
+        `Criterion: ${JSON.stringify(criterion)}, leftFieldApiName: ${leftFieldApiName}, fieldType: ${fieldType}, leftValue: ${leftValue}, rightValue: ${rightValue}, conditionMet: ${conditionMet}`
       );
       return conditionMet;
     });
 
-    let isVisible = results.length > 0 ? results[0] : true; // If no results, consider the field visible
+    // Without a booleanFilter every criterion has to be met
+    let isVisible = results.every(Boolean);
 
     if (visibilityRule.booleanFilter) {
-      let expression = visibilityRule.booleanFilter
-        .toLowerCase()
-        .replace(/\band\b/g, "&&") // Replace 'AND' with '&&'
-        .replace(/\bor\b/g, "||"); // Replace 'OR' with '||'
-
-      results.forEach((result, index) => {
-        expression = expression.replace(
-          new RegExp(`\\b${index + 1}\\b`, "g"),
-          result
-        );
-      });
-
       try {
-        // Safe evaluation of boolean expressions without eval or Function constructor
-        // This implementation handles simple boolean expressions with && and ||
-        isVisible = this.evaluateBooleanExpression(expression);
+        // Parsed and evaluated without eval or the Function constructor
+        isVisible = evaluateBooleanFilter(
+          visibilityRule.booleanFilter,
+          results
+        );
       } catch (error) {
-        console.error("Error evaluating boolean filter expression:", error);
+        console.error(error.message);
         isVisible = false; // If an error occurs, consider the field not visible
       }
     }
@@ -704,49 +1252,16 @@ export default class FlexipageRecordForm extends NavigationMixin(
 
       // Check if all criteria are met
       const allCriteriaMet = rule.criteria.every((criterion) => {
-        const leftFieldApiName = criterion.leftValue
-          .replace("{!Record.", "")
-          .replace("}", "")
-          .toLowerCase();
+        const leftFieldApiName = getRecordFieldPath(criterion.leftValue);
         const leftValue = this.recordData[leftFieldApiName];
         const rightValue = criterion.rightValue;
 
-        let conditionMet = false;
-
-        // Convert values to numbers if they appear to be numeric
-        const leftNum =
-          !isNaN(leftValue) && leftValue !== "" ? Number(leftValue) : leftValue;
-        const rightNum =
-          !isNaN(rightValue) && rightValue !== ""
-            ? Number(rightValue)
-            : rightValue;
-
-        switch (criterion.operator) {
-          case "CONTAINS":
-            conditionMet = leftValue?.includes(rightValue);
-            break;
-          case "EQUAL":
-            conditionMet = leftValue === rightValue;
-            break;
-          case "NE":
-            conditionMet = leftValue !== rightValue;
-            break;
-          case "GT":
-            conditionMet = leftNum > rightNum;
-            break;
-          case "GE":
-            conditionMet = leftNum >= rightNum;
-            break;
-          case "LE":
-            conditionMet = leftNum <= rightNum;
-            break;
-          case "LT":
-            conditionMet = leftNum < rightNum;
-            break;
-          default:
-            conditionMet = false;
-            break;
-        }
+        // Same evaluator as visibility rules, so both support every operator
+        const conditionMet = evaluateCriterion(
+          criterion,
+          leftValue,
+          this.fieldMetadata[leftFieldApiName]?.type
+        );
 
         console.log(
           `Format criterion for ${fieldId}: ${leftFieldApiName}(${leftValue}) ${criterion.operator} ${rightValue} = ${conditionMet}`
@@ -785,7 +1300,7 @@ export default class FlexipageRecordForm extends NavigationMixin(
       return null;
     }
 
-    const numValue = !isNaN(fieldValue) ? Number(fieldValue) : fieldValue;
+    const fieldType = this.fieldMetadata[fieldId.toLowerCase()]?.type;
 
     // Sort rules by visibility group and rank
     const sortedRules = [...iconRules].sort((a, b) => {
@@ -800,35 +1315,14 @@ export default class FlexipageRecordForm extends NavigationMixin(
       `Evaluating ${sortedRules.length} sorted rules for field ${fieldId}`
     );
     for (const rule of sortedRules) {
-      let matches = false;
-      const operand = !isNaN(rule.operand)
-        ? Number(rule.operand)
-        : rule.operand;
-      console.log(`Evaluating rule: ${numValue} ${rule.operator} ${operand}`);
-
-      switch (rule.operator) {
-        case "GT":
-          matches = numValue > operand;
-          break;
-        case "GE":
-          matches = numValue >= operand;
-          break;
-        case "LT":
-          matches = numValue < operand;
-          break;
-        case "LE":
-          matches = numValue <= operand;
-          break;
-        case "EQUAL":
-          matches = numValue === operand;
-          break;
-        case "NE":
-          matches = numValue !== operand;
-          break;
-        default:
-          matches = false;
-          break;
-      }
+      console.log(
+        `Evaluating rule: ${fieldValue} ${rule.operator} ${rule.operand}`
+      );
+      const matches = evaluateCriterion(
+        { operator: rule.operator, rightValue: rule.operand },
+        fieldValue,
+        fieldType
+      );
 
       console.log(`Rule matches: ${matches}`);
       if (matches && rule.icon) {
@@ -881,6 +1375,11 @@ export default class FlexipageRecordForm extends NavigationMixin(
         const section = parsedSections[sectionFacetId];
         console.log(`Processing section: ${sectionFacetId}`, section);
 
+        // Sections hidden by their visibility rule are dropped entirely
+        if (section.isVisible === false) {
+          return null;
+        }
+
         // Process columns, only caring about visibility
         const columnsPromises = Object.keys(section.columns).map(
           async (columnId) => {
@@ -1103,6 +1602,7 @@ export default class FlexipageRecordForm extends NavigationMixin(
 
             return {
               ...column,
+              columnId: columnId,
               fieldIds: visibleFields.map(([id]) => id),
               fields: Object.fromEntries(visibleFields),
               enhancedFields: enhancedFields
@@ -1112,23 +1612,29 @@ export default class FlexipageRecordForm extends NavigationMixin(
 
         // Wait for all columns to be processed
         const columnsArray = await Promise.all(columnsPromises);
-        const filteredColumns = columnsArray.filter(
-          (column) => column.fieldIds.length > 0
-        );
+        columnsArray.sort((a, b) => (a.order || 0) - (b.order || 0));
+
+        // The section keeps its FlexiPage column count unless columnLayout
+        // overrides it, so a column that's empty still takes up its space
+        const layoutColumnCount = parseColumnLayout(this.columnLayout);
+        const arrangedColumns = layoutColumnCount
+          ? redistributeColumns(columnsArray, layoutColumnCount)
+          : columnsArray;
+        const columnClass = getColumnClass(arrangedColumns.length);
 
         // Apply column width classes based on number of columns
-        const processedColumns = filteredColumns.map((column) => ({
-          ...column,
-          class:
-            filteredColumns.length === 1
-              ? "slds-col slds-size_1-of-1"
-              : "slds-col slds-size_1-of-2 slds-p-horizontal_small"
-        }));
+        const processedColumns = arrangedColumns
+          .filter((column) => column.fieldIds.length > 0)
+          .map((column) => ({
+            ...column,
+            class: columnClass
+          }));
 
         return {
           sectionName: this.sanitizeHeader(section.label),
           sectionId: sectionFacetId,
           columns: processedColumns,
+          container: section.container || null,
           isOpen: true,
           class: "slds-section slds-is-open"
         };
@@ -1137,7 +1643,7 @@ export default class FlexipageRecordForm extends NavigationMixin(
 
     // Wait for all sections to be processed
     const sections = await Promise.all(sectionsPromises);
-    return sections.filter((section) => section.columns.length > 0);
+    return sections.filter((section) => section && section.columns.length > 0);
   }
 
   collectFields(parsedSections) {
@@ -1197,15 +1703,44 @@ export default class FlexipageRecordForm extends NavigationMixin(
       return [];
     }
 
+    // In a narrow container every section gets a single stacked column.
+    // Switching recreates the inputs, which get their values back from recordData
+    const interleave = !parseColumnLayout(this.columnLayout);
+    const layoutColumns = (columns) => {
+      if (!this.isNarrow || columns.length < 2) {
+        return columns;
+      }
+      return stackColumns(columns, interleave);
+    };
+
+    // Messages from a failed save are shown under their inputs
+    const saveErrorsByField = {};
+    (this.saveErrors?.fieldErrors || []).forEach(({ fieldName, message }) => {
+      const key = fieldName.toLowerCase();
+      saveErrorsByField[key] = saveErrorsByField[key]
+        ? `${saveErrorsByField[key]} ${message}`
+        : message;
+    });
+
     // Deep clone sections to ensure new object references
     return this.sections.map((section) => ({
       ...section,
-      uniqueKey: `${section.sectionId}-${this.refreshKey}-${Date.now()}`,
-      columns: section.columns.map((column) => ({
+      // Stable between refreshes so re-evaluating visibility while editing
+      // doesn't recreate the edit forms and lose what the user typed
+      uniqueKey: `${section.sectionId}-${this.refreshKey}`,
+      columns: layoutColumns(section.columns).map((column) => ({
         ...column,
         enhancedFields: column.enhancedFields
           ? column.enhancedFields.map((field) => ({
               ...field,
+              // Highlights inputs changed since the edit started
+              inputClass: this.dirtyFields.includes(field.fieldId.toLowerCase())
+                ? "slds-is-edited"
+                : "",
+              saveError: saveErrorsByField[field.fieldId.toLowerCase()],
+              saveErrorClass: saveErrorsByField[field.fieldId.toLowerCase()]
+                ? "slds-has-error"
+                : "",
               fieldData: {
                 ...field.fieldData,
                 // Force value update
@@ -1219,11 +1754,128 @@ export default class FlexipageRecordForm extends NavigationMixin(
     }));
   }
 
-  toggleSection(event) {
+  get layoutBlocks() {
+    // Groups sections that live inside tabs or accordion sections into tabset
+    // and accordion blocks, keeping each group at the position of its first section
+    const blocks = [];
+    const groups = {};
+
+    this.sectionsWithKey.forEach((section) => {
+      const container = section.container;
+      if (!container) {
+        blocks.push({ key: section.uniqueKey, isSection: true, section });
+        return;
+      }
+
+      let group = groups[container.groupId];
+      if (!group) {
+        group = {
+          key: `${container.groupId}-${this.refreshKey}`,
+          groupId: container.groupId,
+          isTabset: container.type === "tab",
+          isAccordion: container.type === "accordionSection",
+          allowMultipleOpen: container.allowMultipleOpen,
+          itemsById: {}
+        };
+        groups[container.groupId] = group;
+        blocks.push(group);
+      }
+
+      if (!group.itemsById[container.itemId]) {
+        group.itemsById[container.itemId] = {
+          key: `${container.groupId}-${container.itemId}`,
+          value: container.itemId,
+          label: container.label,
+          order: container.order,
+          isActive: container.isActive,
+          sections: []
+        };
+      }
+      group.itemsById[container.itemId].sections.push(section);
+    });
+
+    return blocks.map((block) => {
+      if (block.isSection) {
+        return block;
+      }
+      const items = Object.values(block.itemsById).sort(
+        (a, b) => a.order - b.order
+      );
+      const itemValues = items.map((item) => item.value);
+      const defaultItems = items.filter((item) => item.isActive);
+      if (defaultItems.length === 0) {
+        defaultItems.push(items[0]);
+      }
+
+      if (block.isAccordion) {
+        const openSections = (
+          this.openAccordionSections[block.groupId] ||
+          defaultItems.map((item) => item.value)
+        ).filter((value) => itemValues.includes(value));
+        return {
+          key: block.key,
+          groupId: block.groupId,
+          isAccordion: true,
+          allowMultipleOpen: block.allowMultipleOpen,
+          items,
+          // A single-open accordion only accepts one active section name
+          activeSectionName: block.allowMultipleOpen
+            ? openSections
+            : openSections[0]
+        };
+      }
+
+      const selectedTab = items.find(
+        (item) => item.value === this.activeTabValues[block.groupId]
+      );
+      return {
+        key: block.key,
+        groupId: block.groupId,
+        isTabset: true,
+        items,
+        activeTabValue: (selectedTab || defaultItems[0]).value
+      };
+    });
+  }
+
+  handleTabActive(event) {
+    // Remember the selected tab so re-renders don't jump back to the first one
+    const groupId = event.target.dataset.groupId;
+    this.activeTabValues[groupId] = event.target.value;
+  }
+
+  handleAccordionToggle(event) {
+    // Remember open accordion sections for the same reason as tabs
+    const groupId = event.target.dataset.groupId;
+    const openSections = event.detail.openSections;
+    this.openAccordionSections[groupId] = Array.isArray(openSections)
+      ? [...openSections]
+      : [openSections].filter(Boolean);
+  }
+
+  async toggleSection(event) {
     // This method toggles the open/closed state of a section
-    const sectionName = event.target.dataset.name; // Get the section name from the event target
+    const sectionId = event.detail.sectionId; // Sent by the section component
+
+    // Collapsing a section hides any unsaved changes in it, so ask first
+    const toggled = this.sections.find((item) => item.sectionId === sectionId);
+    const hasChanges = (toggled?.columns || []).some((column) =>
+      column.fieldIds.some((fieldId) =>
+        this.dirtyFields.includes(fieldId.toLowerCase())
+      )
+    );
+    if (
+      toggled?.isOpen &&
+      hasChanges &&
+      !(await this.confirmDiscardChanges(
+        "This section has unsaved changes. Collapse it anyway?"
+      ))
+    ) {
+      return;
+    }
+
     const newSections = this.sections.map((section) => {
-      if (section.sectionName === sectionName) {
+      if (section.sectionId === sectionId) {
         const isOpen = !section.isOpen; // Toggle the isOpen state
         return {
           ...section,
@@ -1236,36 +1888,152 @@ export default class FlexipageRecordForm extends NavigationMixin(
     this.sections = newSections;
   }
 
-  handleEdit() {
-    // This method sets the editMode to true, allowing the user to edit the record fields
+  handleEdit(event) {
+    // This method sets the editMode to true, allowing the user to edit the record fields.
+    // Editing from a field's pencil focuses that field, as on a record page.
+    if (!this.editMode) {
+      this.recordDataBeforeEdit = { ...this.recordData };
+      this.setDirtyFields([]);
+      this.saveErrors = null;
+    }
+    this.focusFieldId = event?.detail?.fieldId || null;
     this.editMode = true;
   }
 
-  handleCancel() {
+  focusPendingField() {
+    // Focuses the field whose pencil was clicked once its input has rendered
+    if (!this.focusFieldId || !this.editMode) {
+      return;
+    }
+    const inputField = this.template.querySelector(
+      `lightning-input-field[data-field-name="${this.focusFieldId}"]`
+    );
+    if (inputField) {
+      this.focusFieldId = null;
+      inputField.scrollIntoView({ block: "center" });
+      inputField.focus();
+    }
+  }
+
+  updateDirtyField(fieldName, value) {
+    // Tracks which fields differ from the loaded record
+    const key = fieldName.toLowerCase();
+    const dirtyFields = this.dirtyFields.filter((field) => field !== key);
+    if (!isSameFieldValue(value, this.loadedRecordData[key])) {
+      dirtyFields.push(key);
+    }
+    this.setDirtyFields(dirtyFields);
+  }
+
+  setDirtyFields(dirtyFields) {
+    const wasDirty = this.isDirty;
+    const hasChanged = dirtyFields.join() !== this.dirtyFields.join();
+    this.dirtyFields = dirtyFields;
+    if (this.flowContext && hasChanged) {
+      this.dispatchEvent(
+        new FlowAttributeChangeEvent("changedFields", this.changedFields)
+      );
+    }
+    if (wasDirty === this.isDirty) {
+      return;
+    }
+
+    // A console tab can't be closed while there are unsaved changes
+    if (this.isConsoleNavigation && this.enclosingTabId) {
+      disableTabClose(this.enclosingTabId, this.isDirty).catch((error) => {
+        console.error("Error updating tab close state:", error);
+      });
+    }
+    if (this.flowContext) {
+      this.dispatchEvent(new FlowAttributeChangeEvent("isDirty", this.isDirty));
+    }
+  }
+
+  setFormValidity(isValid) {
+    if (isValid === this.formIsValid) {
+      return;
+    }
+    this.formIsValid = isValid;
+    if (this.flowContext) {
+      this.dispatchEvent(new FlowAttributeChangeEvent("isValid", isValid));
+    }
+  }
+
+  publishLoadedState() {
+    // Gives Flow the record as loaded and whether it can be submitted as is
+    this.setFormValidity(this.findMissingRequiredFields().length === 0);
+    if (this.flowContext) {
+      this.dispatchEvent(
+        new FlowAttributeChangeEvent("priorRecord", this.priorRecord)
+      );
+    }
+  }
+
+  getFieldApiNames() {
+    // API name casing by lowercase name, from the layout and field metadata
+    const apiNames = { id: "Id" };
+    this.fields.forEach((fieldId) => {
+      apiNames[fieldId.toLowerCase()] = fieldId;
+    });
+    Object.entries(this.fieldMetadata).forEach(([key, metadata]) => {
+      if (metadata?.apiName) {
+        apiNames[key] = metadata.apiName;
+      }
+    });
+    return apiNames;
+  }
+
+  async confirmDiscardChanges(message) {
+    // Resolves true when there's nothing to lose or the user agrees to lose it
+    if (!this.isDirty) {
+      return true;
+    }
+    return LightningConfirm.open({
+      message,
+      label: "Unsaved Changes",
+      theme: "warning"
+    });
+  }
+
+  async handleCancel() {
     // This method sets the editMode to false, canceling the edit mode and reverting to read-only mode
+    const discard = await this.confirmDiscardChanges(
+      "You have unsaved changes. Discard them?"
+    );
+    if (!discard) {
+      return;
+    }
     this.editMode = false;
+    this.setDirtyFields([]);
+    this.saveErrors = null;
+    this.focusFieldId = null;
+
+    // Discard edited values so visibility goes back to the saved record
+    if (this.recordDataBeforeEdit) {
+      this.recordData = this.recordDataBeforeEdit;
+      this.recordDataBeforeEdit = null;
+      this.refreshVisibility();
+    }
   }
 
   handleSave() {
     // This method saves the changes made to the record fields
     const inputFields = this.template.querySelectorAll("lightning-input-field"); // Get all input fields
-    const fields = {};
-    const changedFields = {}; // Track the actual changed values
-
-    if (inputFields) {
-      inputFields.forEach((field) => {
-        // Only include changed, non-readonly fields that aren't excluded
-        if (
-          field.value !== field.defaultValue &&
-          !field.readOnly &&
-          !this.allExcludedFields.includes(field.fieldName.toLowerCase())
-        ) {
-          fields[field.fieldName] = field.value;
-          // Store the changed value for local update
-          changedFields[field.fieldName.toLowerCase()] = field.value;
-        }
-        field.reportValidity();
-      });
+    const fields = this.getSaveFields();
+
+    // Nothing is saved until every field, including layout-required ones, is valid
+    const [invalidField] = this.findInvalidFields(inputFields);
+    if (invalidField) {
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Review the errors on this page.",
+          message: "Complete the required fields and fix any invalid values.",
+          variant: "error"
+        })
+      );
+      this.revealField(invalidField.fieldId);
+      this.navigateAfterSave = false;
+      return;
     }
 
     console.log("Changed Fields:", JSON.stringify(fields));
@@ -1274,21 +2042,295 @@ export default class FlexipageRecordForm extends NavigationMixin(
       delete fields[field]; // Remove read-only fields from save
     });
 
-    const recordInput = this._recordId
-      ? { fields: { ...fields, Id: this._recordId } }
+    if (!this._recordId) {
+      this.saveRecord(fields);
+      return;
+    }
+
+    // Another user may have saved the record since it was loaded
+    this.checkForConflicts(fields)
+      .then((conflicts) => {
+        if (conflicts.length) {
+          this.pendingSaveFields = fields;
+          this.saveConflicts = conflicts;
+          return;
+        }
+        this.saveRecord(fields);
+      })
+      .catch((error) => {
+        // Don't risk overwriting changes we couldn't check for
+        this.navigateAfterSave = false;
+        this.dispatchEvent(
+          new ShowToastEvent({
+            title: "Error saving record",
+            message: error.body?.message || error.message,
+            variant: "error"
+          })
+        );
+        console.error("Error checking for save conflicts:", error);
+      });
+  }
+
+  getSaveFields() {
+    // Builds the save from recordData rather than the rendered inputs, so an
+    // edit to a field that a visibility rule has since hidden is still saved.
+    // New records also get every value already on the form, e.g. defaults.
+    const keys = new Set(this.dirtyFields);
+    if (!this._recordId) {
+      this.fields.forEach((fieldId) => {
+        const key = fieldId.toLowerCase();
+        if (this.recordData[key] !== undefined) {
+          keys.add(key);
+        }
+      });
+    }
+
+    const apiNames = this.getFieldApiNames();
+    const excludedFields = this.allExcludedFields;
+    const readOnlyLayoutFields = this.getReadOnlyLayoutFields();
+    const isUpdate = Boolean(this.targetRecordId);
+    const fields = {};
+    keys.forEach((key) => {
+      // Relationship paths are only loaded for visibility rules
+      if (
+        excludedFields.includes(key) ||
+        key.includes(".") ||
+        readOnlyLayoutFields.has(key)
+      ) {
+        return;
+      }
+      // Formula, auto-number and other fields the user can't write
+      const fieldInfo = this.objectFieldInfos[key];
+      if (
+        fieldInfo &&
+        !(isUpdate ? fieldInfo.updateable : fieldInfo.createable)
+      ) {
+        return;
+      }
+      fields[apiNames[key] || key] = this.recordData[key];
+    });
+    return fields;
+  }
+
+  getReadOnlyLayoutFields() {
+    // Lowercase ids of the fields the layout marks read-only, hidden or not
+    const readOnly = new Set();
+    Object.values(this.parsedSections || {}).forEach((section) => {
+      Object.values(section.columns).forEach((column) => {
+        Object.entries(column.fields).forEach(([fieldId, field]) => {
+          if (field.isReadOnly) {
+            readOnly.add(fieldId.toLowerCase());
+          }
+        });
+      });
+    });
+    return readOnly;
+  }
+
+  findInvalidFields(inputFields) {
+    // Reports validity on every input so each shows its message, and returns
+    // the invalid fields in form order with a message for each
+    const invalidFields = [];
+    const renderedFields = new Set();
+    inputFields.forEach((inputField) => {
+      renderedFields.add(inputField.fieldName.toLowerCase());
+      if (!inputField.reportValidity()) {
+        invalidFields.push({
+          fieldId: inputField.dataset.fieldName,
+          message:
+            inputField.required && isSameFieldValue(inputField.value, "")
+              ? "Complete this field."
+              : "Enter a valid value."
+        });
+      }
+    });
+
+    // Inputs in tabs or accordion sections that were never opened aren't
+    // rendered, so check their layout-required fields against recordData
+    this.findMissingRequiredFields(renderedFields).forEach((fieldId) => {
+      invalidFields.push({ fieldId, message: "Complete this field." });
+    });
+    return invalidFields;
+  }
+
+  findMissingRequiredFields(skippedFields = new Set()) {
+    // Layout-required fields that are blank in recordData
+    return this.sections
+      .flatMap((section) => section.columns)
+      .flatMap((column) => column.enhancedFields || [])
+      .filter(
+        (field) =>
+          field.fieldData.isRequired &&
+          !field.fieldData.isReadOnly &&
+          !field.fieldData.isCheckbox &&
+          !skippedFields.has(field.fieldId.toLowerCase()) &&
+          isSameFieldValue(this.recordData[field.fieldId.toLowerCase()], "")
+      )
+      .map((field) => field.fieldId);
+  }
+
+  getFieldLabel(fieldName) {
+    return (
+      this.fieldMetadata[fieldName.toLowerCase()]?.label ||
+      this.sanitizeHeader(fieldName)
+    );
+  }
+
+  revealField(fieldId) {
+    // Opens the section, tab or accordion section holding a field, then
+    // scrolls to and focuses it once it has rendered
+    const key = fieldId.toLowerCase();
+    const target = this.sections.find((section) =>
+      section.columns.some((column) =>
+        column.fieldIds.some((id) => id.toLowerCase() === key)
+      )
+    );
+    if (target && !target.isOpen) {
+      this.sections = this.sections.map((section) => {
+        if (section.sectionId !== target.sectionId) {
+          return section;
+        }
+        return { ...section, isOpen: true, class: "slds-section slds-is-open" };
+      });
+    }
+
+    const container = target?.container;
+    if (container?.type === "tab") {
+      this.activeTabValues = {
+        ...this.activeTabValues,
+        [container.groupId]: container.itemId
+      };
+    } else if (container?.type === "accordionSection") {
+      const openSections =
+        this.openAccordionSections[container.groupId] ||
+        this.sections
+          .filter(
+            (section) =>
+              section.container?.groupId === container.groupId &&
+              section.container.isActive
+          )
+          .map((section) => section.container.itemId);
+      this.openAccordionSections = {
+        ...this.openAccordionSections,
+        [container.groupId]: container.allowMultipleOpen
+          ? [...new Set([...openSections, container.itemId])]
+          : [container.itemId]
+      };
+    }
+
+    this.focusFieldId = fieldId;
+    this.focusPendingField();
+  }
+
+  async checkForConflicts(fields) {
+    // Lists layout fields whose saved value changed after the record loaded
+    const loadedModstamp = this.loadedRecordData.systemmodstamp;
+    if (!loadedModstamp) {
+      return [];
+    }
+
+    const fieldNames = [...new Set([...this.fields, ...Object.keys(fields)])];
+    const result = await getLatestFieldValues({
+      recordId: this._recordId,
+      objectApiName: this.objectApiName,
+      fieldApiNames: fieldNames
+    });
+    const latestValues = this.mapFieldValues(result?.values || {});
+    if (latestValues.systemmodstamp === loadedModstamp) {
+      return [];
+    }
+
+    return findSaveConflicts(
+      fieldNames,
+      this.loadedRecordData,
+      latestValues,
+      fields
+    ).map((conflict) => ({
+      ...conflict,
+      label: this.getFieldLabel(conflict.fieldName),
+      yourDisplayValue: this.formatConflictValue(conflict.yourValue),
+      theirDisplayValue: this.formatConflictValue(conflict.theirValue),
+      originalDisplayValue: this.formatConflictValue(conflict.originalValue)
+    }));
+  }
+
+  formatConflictValue(value) {
+    if (value === null || value === undefined || value === "") {
+      return "(blank)";
+    }
+    return String(value);
+  }
+
+  get hasSaveConflicts() {
+    return this.saveConflicts.length > 0;
+  }
+
+  closeConflictDialog() {
+    this.saveConflicts = [];
+    this.pendingSaveFields = null;
+  }
+
+  handleConflictClose() {
+    // Keeps editing; in Flow the user stays on the screen
+    this.closeConflictDialog();
+    this.navigateAfterSave = false;
+  }
+
+  handleConflictOverwrite() {
+    // Saves all of your changes, replacing theirs where you both edited a field
+    const fields = this.pendingSaveFields;
+    this.closeConflictDialog();
+    this.saveRecord(fields);
+  }
+
+  handleConflictMerge() {
+    // Saves only your changes to fields they didn't touch, keeping theirs
+    const changedByBoth = this.saveConflicts
+      .filter((conflict) => conflict.isChangedByYou)
+      .map((conflict) => conflict.fieldName.toLowerCase());
+    const fields = Object.fromEntries(
+      Object.entries(this.pendingSaveFields).filter(
+        ([fieldName]) => !changedByBoth.includes(fieldName.toLowerCase())
+      )
+    );
+    this.closeConflictDialog();
+
+    if (Object.keys(fields).length) {
+      this.saveRecord(fields);
+    } else {
+      this.handleConflictReload();
+    }
+  }
+
+  handleConflictReload() {
+    // Drops your changes and shows the record as it is now
+    this.closeConflictDialog();
+    this.navigateAfterSave = false;
+    this.editMode = false;
+    this.setDirtyFields([]);
+    this.saveErrors = null;
+    this.recordDataBeforeEdit = null;
+    this.forceRefresh();
+  }
+
+  saveRecord(fields) {
+    const recordId = this.targetRecordId;
+    const recordInput = recordId
+      ? { fields: { ...fields, Id: recordId } }
       : {
           apiName: this.objectApiName,
           fields
         };
     // Construct the recordInput object based on whether the record is being created or updated
 
-    const saveOperation = this._recordId
+    const saveOperation = recordId
       ? updateRecord(recordInput)
       : createRecord(recordInput);
     // Call the appropriate operation (updateRecord or createRecord) based on whether the record is being updated or created
 
+    this.isSaving = true;
     saveOperation
-      .then((result) => {
+      .then(async (result) => {
         console.log("Save successful, result:", result);
 
         // Update recordId if this was a create operation
@@ -1296,12 +2338,10 @@ export default class FlexipageRecordForm extends NavigationMixin(
           this._recordId = result.id;
         }
 
-        // If flow context, update varRecord
+        // If flow context, publish the saved record and its Id before
+        // saveOnNext moves the flow on
         if (this.flowContext) {
-          this._varRecord = { ...this._varRecord, ...fields };
-          this.dispatchEvent(
-            new FlowAttributeChangeEvent("varRecord", this._varRecord)
-          );
+          await this.publishSavedRecord(fields);
         }
 
         this.dispatchEvent(
@@ -1316,22 +2356,102 @@ export default class FlexipageRecordForm extends NavigationMixin(
 
         // Set editMode to false and immediately force a complete refresh
         this.editMode = false;
+        this.setDirtyFields([]);
+        this.saveErrors = null;
 
         // Force complete component refresh using refreshApex
         this.forceRefresh();
+
+        if (this.navigateAfterSave) {
+          this.navigateAfterSaving();
+        }
       })
       .catch((error) => {
+        // Field errors go next to their inputs; the toast points at them
+        this.navigateAfterSave = false;
+        this.saveErrors = parseSaveError(error);
         this.dispatchEvent(
           new ShowToastEvent({
             title: "Error saving record",
-            message: error.body.message, // Display the error message
+            message:
+              this.saveErrors.pageErrors[0] ||
+              "Review the errors on this page.",
             variant: "error"
           })
         );
         console.error("Error saving record:", error);
+      })
+      .finally(() => {
+        this.isSaving = false;
       });
   }
 
+  async publishSavedRecord(fields) {
+    // Re-reads the record so Flow gets its Id, unchanged fields and values
+    // set on the server (formulas, defaults, triggers) with API name casing
+    try {
+      this._varRecord = await getSavedRecord({
+        recordId: this._recordId,
+        objectApiName: this.objectApiName
+      });
+    } catch (error) {
+      console.error("Error reading the saved record:", error);
+      this._varRecord = { ...this._varRecord, ...fields, Id: this._recordId };
+    }
+    this.dispatchEvent(
+      new FlowAttributeChangeEvent("varRecord", this._varRecord)
+    );
+    this.dispatchEvent(
+      new FlowAttributeChangeEvent("recordId", this._recordId)
+    );
+  }
+
+  get hasSaveErrors() {
+    return Boolean(this.saveErrors);
+  }
+
+  get saveErrorSummary() {
+    // Page-level list of everything that stopped the save
+    if (!this.saveErrors) {
+      return null;
+    }
+    const formFields = new Map(
+      this.fields.map((fieldId) => [fieldId.toLowerCase(), fieldId])
+    );
+    return {
+      pageErrors: this.saveErrors.pageErrors.map((message, index) => ({
+        key: `page-${index}`,
+        message
+      })),
+      fieldErrors: this.saveErrors.fieldErrors.map((fieldError, index) => {
+        const key = fieldError.fieldName.toLowerCase();
+        return {
+          key: `field-${index}`,
+          fieldId: formFields.get(key),
+          isOnForm: formFields.has(key),
+          label:
+            fieldError.fieldLabel || this.getFieldLabel(fieldError.fieldName),
+          message: fieldError.message
+        };
+      }),
+      duplicateRecordIds: this.saveErrors.duplicateRecordIds
+    };
+  }
+
+  focusErrorField(event) {
+    // Summary links jump to the input the error belongs to, opening its
+    // collapsed section, tab or accordion section first
+    event.preventDefault();
+    this.revealField(event.currentTarget.dataset.fieldId);
+  }
+
+  openDuplicateRecord(event) {
+    event.preventDefault();
+    this.navigateToRecord({
+      detail: { recordId: event.currentTarget.dataset.recordId }
+    });
+  }
+
   refreshData() {
     // This method refreshes the component's data after a successful save operation
     try {
@@ -1351,24 +2471,71 @@ export default class FlexipageRecordForm extends NavigationMixin(
 
   handleFieldChange(event) {
     console.log("handleFieldChange event:", event);
-    const fieldName = event.target.fieldName;
-    const value = event.target.value;
+    const { fieldName, value } = event.detail;
     console.log("handleFieldChange", fieldName, value);
 
-    // Update recordData
+    // Update recordData and re-run the visibility rules that may depend on it
     if (fieldName) {
       this.recordData[fieldName.toLowerCase()] = value;
+      this.updateDirtyField(fieldName, value);
+      this.clearFieldSaveErrors(fieldName);
+      this.setFormValidity(this.findMissingRequiredFields().length === 0);
+      this.refreshVisibility();
     }
 
     if (this.flowContext && fieldName) {
-      const updatedRecord = { ...this._varRecord, [fieldName]: value };
+      // Keep earlier edits so varRecord always holds every change
+      this._varRecord = { ...this._varRecord, [fieldName]: value };
       this.dispatchEvent(
-        new FlowAttributeChangeEvent("varRecord", updatedRecord)
+        new FlowAttributeChangeEvent("varRecord", this._varRecord)
       );
-      console.log("updated record:", updatedRecord);
+      console.log("updated record:", this._varRecord);
+    }
+  }
+
+  clearFieldSaveErrors(fieldName) {
+    // Editing a field clears its errors from the last failed save
+    if (!this.saveErrors) {
+      return;
+    }
+    const key = fieldName.toLowerCase();
+    const fieldErrors = this.saveErrors.fieldErrors.filter(
+      (fieldError) => fieldError.fieldName.toLowerCase() !== key
+    );
+    if (fieldErrors.length !== this.saveErrors.fieldErrors.length) {
+      this.saveErrors = { ...this.saveErrors, fieldErrors };
     }
   }
 
+  async refreshVisibility() {
+    // Re-evaluates visibility rules against the current recordData without
+    // re-fetching metadata. Section keys are left alone so the form doesn't
+    // flash and inputs that stay visible keep their unsaved values.
+    if (!this.parsedSections) {
+      return;
+    }
+    const revision = ++this.visibilityRevision;
+
+    this.calculateVisibility(this.parsedSections);
+    const newSections = await this.processSections(this.parsedSections);
+    if (revision !== this.visibilityRevision) {
+      return; // A later edit has already started its own re-evaluation
+    }
+
+    // Keep sections the user collapsed collapsed
+    const collapsed = new Set(
+      this.sections
+        .filter((section) => !section.isOpen)
+        .map((section) => section.sectionId)
+    );
+    this.sections = newSections.map((section) => {
+      if (!collapsed.has(section.sectionId)) {
+        return section;
+      }
+      return { ...section, isOpen: false, class: "slds-section " };
+    });
+  }
+
   parseDefaultValues() {
     console.log("Starting to parse default values string:", this.defaultValues);
 
@@ -1420,17 +2587,25 @@ export default class FlexipageRecordForm extends NavigationMixin(
     return result;
   }
 
+  parseInputRecord() {
+    // Splits the inputRecord fields into the same original and lowercase maps
+    // as parseDefaultValues. Related records (e.g. Account.Name from Get
+    // Records) and the attributes entry are skipped.
+    const result = { original: {}, lowercase: {} };
+    Object.entries(this.inputRecord || {}).forEach(([fieldName, value]) => {
+      if (value !== null && typeof value === "object") {
+        return;
+      }
+      result.original[fieldName] = value;
+      result.lowercase[fieldName.toLowerCase()] = value;
+    });
+    return result;
+  }
+
   applyDefaultValuesToForm(defaultValues) {
     if (!this.template) return;
 
-    const form = this.template.querySelector("lightning-record-edit-form");
-    if (!form) {
-      console.log("Form not found, deferring to renderedCallback");
-      this._pendingDefaultValues = defaultValues;
-      return;
-    }
-
-    const inputFields = form.querySelectorAll("lightning-input-field");
+    const inputFields = this.template.querySelectorAll("lightning-input-field");
     if (!inputFields?.length) {
       console.log("Input fields not found, deferring to renderedCallback");
       this._pendingDefaultValues = defaultValues;
@@ -1466,11 +2641,15 @@ export default class FlexipageRecordForm extends NavigationMixin(
     }
   }
 
-  navigateToRecord(event) {
-    event.preventDefault();
-    const recordId = event.currentTarget.dataset.recordId;
+  async navigateToRecord(event) {
+    const recordId = event.detail.recordId;
 
-    if (recordId) {
+    if (
+      recordId &&
+      (await this.confirmDiscardChanges(
+        "You have unsaved changes. Leave this record and discard them?"
+      ))
+    ) {
       this[NavigationMixin.Navigate]({
         type: "standard__recordPage",
         attributes: {
@@ -1,3 +1,127 @@
+// Labels App Builder shows for the standard tab titles
+const STANDARD_TAB_LABELS = {
+  "Standard.Tab.detail": "Details",
+  "Standard.Tab.relatedLists": "Related",
+  "Standard.Tab.activity": "Activity",
+  "Standard.Tab.collaborate": "Chatter",
+  "Standard.Tab.news": "News"
+};
+
+function getPropertyValue(componentInstance, propertyName) {
+  return componentInstance?.componentInstanceProperties?.find(
+    (prop) => prop.name === propertyName
+  )?.value;
+}
+
+function getTabLabel(title, index) {
+  if (!title) {
+    return `Tab ${index + 1}`;
+  }
+  if (STANDARD_TAB_LABELS[title]) {
+    return STANDARD_TAB_LABELS[title];
+  }
+  // Unknown standard tabs fall back to the last token of the title
+  if (title.startsWith("Standard.Tab.")) {
+    const name = title.replace("Standard.Tab.", "");
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+  return title;
+}
+
+// Components that group field sections, and the child component holding each
+// group item's body facet
+const CONTAINER_COMPONENTS = {
+  "flexipage:tabset": {
+    type: "tab",
+    itemsProperty: "tabs",
+    itemComponentName: "flexipage:tab"
+  },
+  "flexipage:accordion": {
+    type: "accordionSection",
+    itemsProperty: "accordionSections",
+    itemComponentName: "flexipage:accordionSection"
+  }
+};
+
+function getItemLabel(type, itemComponent, index) {
+  if (type === "tab") {
+    return getTabLabel(getPropertyValue(itemComponent, "title"), index);
+  }
+  return (
+    getPropertyValue(itemComponent, "label") ||
+    getPropertyValue(itemComponent, "title") ||
+    `Section ${index + 1}`
+  );
+}
+
+// Maps each tab or accordion section body facet to the group and item that
+// own it, so sections placed inside them can be grouped back together
+function collectFacetContainers(flexiPageRegions) {
+  const facetContainers = {};
+  const groupsByFacet = {};
+
+  flexiPageRegions.forEach((region) => {
+    (region.itemInstances || []).forEach((itemInstance) => {
+      const component = itemInstance.componentInstance;
+      const definition =
+        component && CONTAINER_COMPONENTS[component.componentName];
+      if (!definition) {
+        return;
+      }
+      const itemsFacetId = getPropertyValue(
+        component,
+        definition.itemsProperty
+      );
+      if (itemsFacetId) {
+        groupsByFacet[itemsFacetId] = {
+          definition,
+          groupId: component.identifier || `group_${itemsFacetId}`,
+          allowMultipleOpen:
+            getPropertyValue(component, "allowMultipleSectionsOpen") === "true",
+          visibilityRule: component.visibilityRule || null
+        };
+      }
+    });
+  });
+
+  flexiPageRegions.forEach((region) => {
+    const group = groupsByFacet[region.name];
+    if (!group) {
+      return;
+    }
+    const { definition } = group;
+    (region.itemInstances || []).forEach((itemInstance, itemIndex) => {
+      const component = itemInstance.componentInstance;
+      if (
+        !component ||
+        component.componentName !== definition.itemComponentName
+      ) {
+        return;
+      }
+      const bodyFacetId = getPropertyValue(component, "body");
+      if (bodyFacetId) {
+        facetContainers[bodyFacetId] = {
+          type: definition.type,
+          groupId: group.groupId,
+          itemId: component.identifier || bodyFacetId,
+          label: getItemLabel(definition.type, component, itemIndex),
+          order: itemIndex,
+          isActive: getPropertyValue(component, "active") === "true",
+          allowMultipleOpen: group.allowMultipleOpen,
+          // Rules on the tabset/accordion and on the tab/accordion section
+          // both have to pass for the sections inside to show
+          visibilityRules: [
+            group.visibilityRule,
+            component.visibilityRule
+          ].filter(Boolean)
+        };
+      }
+    });
+  });
+
+  return facetContainers;
+}
+
 export function parseFlexiPageJson(flexiPageJson) {
   const sections = {}; // Object to store sections and their fields
 
@@ -33,7 +157,7 @@ export function parseFlexiPageJson(flexiPageJson) {
       label: "Information",
       columns: {
         defaultColumn: {
-          side: "left",
+          order: 0,
           fields: {}
         }
       }
@@ -75,6 +199,11 @@ export function parseFlexiPageJson(flexiPageJson) {
   // Original parsing logic for complex layouts
   console.log("Processing complex layout with sections and columns");
 
+  // Tab and accordion bodies are facets too; remember which item owns each
+  const facetContainers = collectFacetContainers(
+    flexiPageJson.flexiPageRegions
+  );
+
   // First pass: Collect sections and their labels
   flexiPageJson.flexiPageRegions.forEach((region) => {
     region.itemInstances.forEach((itemInstance) => {
@@ -93,7 +222,13 @@ export function parseFlexiPageJson(flexiPageJson) {
           ).value || "Unnamed Section";
 
         if (!sections[sectionFacetId]) {
-          sections[sectionFacetId] = { label: sectionLabel, columns: {} };
+          sections[sectionFacetId] = {
+            label: sectionLabel,
+            columns: {},
+            container: facetContainers[region.name] || null, // Owning tab or accordion section
+            visibilityRule:
+              itemInstance.componentInstance.visibilityRule || null
+          };
         }
       }
     });
@@ -102,7 +237,7 @@ export function parseFlexiPageJson(flexiPageJson) {
   // Second pass: Collect columns and assign to sections
   flexiPageJson.flexiPageRegions.forEach((region) => {
     if (region.type === "Facet") {
-      region.itemInstances.forEach((itemInstance) => {
+      region.itemInstances.forEach((itemInstance, itemIndex) => {
         if (
           itemInstance.componentInstance &&
           itemInstance.componentInstance.componentName === "flexipage:column"
@@ -112,22 +247,12 @@ export function parseFlexiPageJson(flexiPageJson) {
               (prop) => prop.name === "body"
             ).value;
           const sectionFacetId = region.name;
-          const side =
-            parseInt(
-              itemInstance.componentInstance.identifier.replace(
-                "flexipage_column",
-                ""
-              ),
-              10
-            ) %
-              2 ===
-            0
-              ? "right"
-              : "left";
 
+          // Columns render in the order they're listed in the section's
+          // columns facet; identifiers aren't numbered per section
           if (sections[sectionFacetId]) {
             sections[sectionFacetId].columns[columnFacetId] = {
-              side: side,
+              order: itemIndex,
               fields: {}
             };
           }
@@ -206,6 +331,7 @@ export function parseFlexiPageJson(flexiPageJson) {
             sections[sectionFacetId].columns[columnFacetId].fields[spacerId] = {
               isBlankSpace: true,
               isVisible: true,
+              visibilityRule: itemInstance.componentInstance.visibilityRule,
               order: itemIndex // Add order to maintain position
             };
           }
@@ -228,4 +354,698 @@ export function parseFlexiPageJson(flexiPageJson) {
   console.log("Parsed Sections:", JSON.stringify(sections, null, 2));
 
   return sections;
-}
\ No newline at end of file
+}
+
+// Splits a FlexiPage booleanFilter such as "1 AND (2 OR NOT 3)" into tokens
+function tokenizeBooleanFilter(filter) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+)|(\()|(\))|([A-Za-z]+)|(\S))/gy;
+  let match;
+
+  while (pattern.lastIndex < filter.length) {
+    match = pattern.exec(filter);
+    if (!match) {
+      break; // Only trailing whitespace left
+    }
+    const [, number, open, close, word, other] = match;
+    const text = number || open || close || word || other;
+    const position = pattern.lastIndex - text.length;
+    if (number) {
+      tokens.push({ type: "number", value: parseInt(number, 10), position });
+    } else if (open) {
+      tokens.push({ type: "(", position });
+    } else if (close) {
+      tokens.push({ type: ")", position });
+    } else if (word && ["AND", "OR", "NOT"].includes(word.toUpperCase())) {
+      tokens.push({ type: word.toUpperCase(), position });
+    } else {
+      throw new Error(
+        `Invalid boolean filter "${filter}": unexpected "${text}" at position ${position + 1}`
+      );
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluates a FlexiPage booleanFilter against the results of its criteria.
+ * Supports AND, OR, NOT and parentheses with the usual precedence
+ * (NOT binds tighter than AND, AND tighter than OR). Condition numbers are
+ * 1-based, matching the order of the rule's criteria.
+ *
+ * @param {string} filter The booleanFilter, e.g. "1 AND (2 OR 3)"
+ * @param {boolean[]} results The evaluated criteria, in criteria order
+ * @returns {boolean} The value of the filter
+ * @throws {Error} If the filter is malformed or references a missing condition
+ */
+export function evaluateBooleanFilter(filter, results) {
+  const tokens = tokenizeBooleanFilter(filter || "");
+  let index = 0;
+
+  const fail = (message) => {
+    const token = tokens[index];
+    const where = token
+      ? `at position ${token.position + 1}`
+      : "at end of filter";
+    throw new Error(`Invalid boolean filter "${filter}": ${message} ${where}`);
+  };
+
+  const accept = (type) => {
+    if (tokens[index] && tokens[index].type === type) {
+      index++;
+      return true;
+    }
+    return false;
+  };
+
+  // Mutually recursive rules, one per precedence level
+  let parseOr;
+
+  const parsePrimary = () => {
+    const token = tokens[index];
+    if (accept("(")) {
+      const value = parseOr();
+      if (!accept(")")) {
+        fail('expected ")"');
+      }
+      return value;
+    }
+    if (token && token.type === "number") {
+      if (token.value < 1 || token.value > results.length) {
+        fail(
+          `condition ${token.value} does not exist (${results.length} defined)`
+        );
+      }
+      index++;
+      return Boolean(results[token.value - 1]);
+    }
+    return fail("expected a condition number");
+  };
+
+  const parseNot = () => {
+    if (accept("NOT")) {
+      return !parseNot();
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    let value = parseNot();
+    while (accept("AND")) {
+      // Parse the right side before combining so errors are never skipped
+      const right = parseNot();
+      value = value && right;
+    }
+    return value;
+  };
+
+  parseOr = () => {
+    let value = parseAnd();
+    while (accept("OR")) {
+      const right = parseAnd();
+      value = value || right;
+    }
+    return value;
+  };
+
+  if (tokens.length === 0) {
+    fail("filter is empty");
+  }
+  const result = parseOr();
+  if (index < tokens.length) {
+    fail(`unexpected "${tokens[index].value ?? tokens[index].type}"`);
+  }
+  return result;
+}
+
+// Field types (as returned by getFieldValues metadata) compared as numbers
+const NUMERIC_FIELD_TYPES = [
+  "DOUBLE",
+  "INTEGER",
+  "LONG",
+  "CURRENCY",
+  "PERCENT"
+];
+
+// Used when no field metadata is available, e.g. for new records
+function inferFieldType(value) {
+  if (typeof value === "boolean") {
+    return "BOOLEAN";
+  }
+  if (typeof value === "number") {
+    return "DOUBLE";
+  }
+  return "STRING";
+}
+
+function parseDateValue(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  return match
+    ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : null;
+}
+
+/**
+ * Converts a record value or a criterion's rightValue to a comparable value
+ * for the given field type. Blank values become null, except checkboxes,
+ * which Salesforce treats as false when empty.
+ *
+ * @param {*} value The raw value
+ * @param {string} fieldType The field's display type, e.g. "CURRENCY"
+ * @returns {*} A number, boolean, string, array of strings or null
+ */
+export function coerceCriterionValue(value, fieldType) {
+  const type = (fieldType || inferFieldType(value)).toUpperCase();
+
+  if (type === "BOOLEAN") {
+    return value === true || String(value).toLowerCase() === "true";
+  }
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  if (NUMERIC_FIELD_TYPES.includes(type)) {
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  }
+  if (type === "DATE") {
+    return parseDateValue(value);
+  }
+  if (type === "DATETIME") {
+    const timestamp = Date.parse(value);
+    return isNaN(timestamp) ? null : timestamp;
+  }
+  if (type === "MULTIPICKLIST") {
+    return String(value)
+      .split(";")
+      .map((item) => item.trim())
+      .filter((item) => item !== "");
+  }
+  return String(value);
+}
+
+// Alternative spellings of operators, mapped to the names used below
+const OPERATOR_ALIASES = {
+  EQUALS: "EQUAL",
+  NOT_EQUAL: "NE",
+  DOES_NOT_CONTAIN: "NOT_CONTAINS",
+  NOT_CONTAIN: "NOT_CONTAINS",
+  BEGINS_WITH: "STARTS_WITH",
+  IS_BLANK: "IS_NULL",
+  IS_NOT_BLANK: "IS_NOT_NULL",
+  NOT_NULL: "IS_NOT_NULL",
+  INCLUDE: "INCLUDES",
+  EXCLUDE: "EXCLUDES"
+};
+
+function normalizeOperator(operator) {
+  const name = String(operator || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[\s-]+/g, "_");
+  return OPERATOR_ALIASES[name] || name;
+}
+
+function valuesEqual(left, right) {
+  if (left === null || right === null) {
+    return left === right;
+  }
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return (
+      left.length === right.length && left.every((item) => right.includes(item))
+    );
+  }
+  return left === right;
+}
+
+function isBlankValue(value) {
+  return value === null || (Array.isArray(value) && value.length === 0);
+}
+
+function containsValue(left, right) {
+  if (isBlankValue(left) || right === null) {
+    return false;
+  }
+  if (Array.isArray(left)) {
+    return (Array.isArray(right) ? right : [right]).every((item) =>
+      left.includes(item)
+    );
+  }
+  return String(left).includes(String(right));
+}
+
+// Same semantics as SOQL INCLUDES: "A;B" needs both values selected, while
+// "A,B" matches either one
+function includesValues(left, rightValue) {
+  if (isBlankValue(left) || rightValue === undefined || rightValue === null) {
+    return false;
+  }
+  const selected = Array.isArray(left) ? left : [String(left)];
+  return String(rightValue)
+    .split(",")
+    .map((group) =>
+      group
+        .split(";")
+        .map((item) => item.trim())
+        .filter((item) => item !== "")
+    )
+    .filter((group) => group.length > 0)
+    .some((group) => group.every((item) => selected.includes(item)));
+}
+
+/**
+ * Evaluates one visibility or conditional formatting criterion against a
+ * record value, coercing both sides using the field's type the way
+ * Salesforce does server-side.
+ *
+ * Supported operators: EQUAL, NE, GT, GE, LT, LE, CONTAINS, NOT_CONTAINS,
+ * STARTS_WITH, ENDS_WITH, IS_NULL, IS_NOT_NULL, INCLUDES and EXCLUDES
+ * (plus the aliases in OPERATOR_ALIASES). Unknown operators never match.
+ *
+ * @param {Object} criterion A criterion with operator and rightValue
+ * @param {*} leftValue The record's value for the criterion's field
+ * @param {string} fieldType The field's display type, if known
+ * @returns {boolean} Whether the criterion is met
+ */
+export function evaluateCriterion(criterion, leftValue, fieldType) {
+  const left = coerceCriterionValue(leftValue, fieldType);
+  const right = coerceCriterionValue(
+    criterion.rightValue,
+    fieldType || inferFieldType(leftValue)
+  );
+  const isComparable = left !== null && right !== null;
+
+  switch (normalizeOperator(criterion.operator)) {
+    case "EQUAL":
+      return valuesEqual(left, right);
+    case "NE":
+      return !valuesEqual(left, right);
+    case "GT":
+      return isComparable && left > right;
+    case "GE":
+      return isComparable && left >= right;
+    case "LT":
+      return isComparable && left < right;
+    case "LE":
+      return isComparable && left <= right;
+    case "CONTAINS":
+      return containsValue(left, right);
+    case "NOT_CONTAINS":
+      return !containsValue(left, right);
+    case "STARTS_WITH":
+      return isComparable && String(left).startsWith(String(right));
+    case "ENDS_WITH":
+      return isComparable && String(left).endsWith(String(right));
+    case "IS_NULL":
+      return isBlankValue(left);
+    case "IS_NOT_NULL":
+      return !isBlankValue(left);
+    case "INCLUDES":
+      return includesValues(left, criterion.rightValue);
+    case "EXCLUDES":
+      return !includesValues(left, criterion.rightValue);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Returns the record field a criterion's leftValue points at, lowercased to
+ * match the keys of recordData and fieldMetadata. Relationship paths are kept
+ * whole, so "{!Record.Account.Industry}" becomes "account.industry".
+ *
+ * @param {string} leftValue The criterion's merge field, e.g. "{!Record.Name}"
+ * @returns {string|null} The field path, or null if it isn't a Record field
+ */
+export function getRecordFieldPath(leftValue) {
+  const match = /^\{!\s*Record\.([\w.]+)\s*\}$/i.exec(
+    String(leftValue || "").trim()
+  );
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Calls the callback with every criterion of every visibility rule in the
+// parsed sections: section, container, field and blank space rules
+function forEachVisibilityCriterion(parsedSections, callback) {
+  const visitRule = (rule) => (rule?.criteria || []).forEach(callback);
+
+  Object.values(parsedSections || {}).forEach((section) => {
+    visitRule(section.visibilityRule);
+    (section.container?.visibilityRules || []).forEach(visitRule);
+    Object.values(section.columns).forEach((column) => {
+      Object.values(column.fields).forEach((field) =>
+        visitRule(field.visibilityRule)
+      );
+    });
+  });
+}
+
+/**
+ * Collects every record field referenced by the visibility rules of the
+ * parsed sections, their fields and blank spaces, and their tab or accordion
+ * containers. These are fetched with the layout fields so rules can be
+ * evaluated even for fields that aren't on the layout or live on a related
+ * record.
+ *
+ * @param {Object} parsedSections Sections returned by parseFlexiPageJson
+ * @returns {string[]} Unique lowercase field paths, e.g. ["account.industry"]
+ */
+export function collectVisibilityFieldPaths(parsedSections) {
+  const paths = new Set();
+  forEachVisibilityCriterion(parsedSections, (criterion) => {
+    const path = getRecordFieldPath(criterion.leftValue);
+    if (path) {
+      paths.add(path);
+    }
+  });
+  return [...paths];
+}
+
+// Global merge fields supported in visibility rules. $Profile is shorthand
+// for the running user's profile, so it resolves through $User.
+const GLOBAL_MERGE_FIELDS = {
+  user: { global: "User", prefix: "" },
+  profile: { global: "User", prefix: "Profile." },
+  permission: { global: "Permission", prefix: "" },
+  client: { global: "Client", prefix: "" }
+};
+
+/**
+ * Parses a global merge field such as "{!$User.Profile.Name}",
+ * "{!$Permission.CustomPermission.Approve}" or "{!$Client.FormFactor}".
+ * The key is lowercase and identifies the value in the visibility context;
+ * the path keeps its case for the server, which needs exact permission names.
+ *
+ * @param {string} mergeField The criterion's leftValue
+ * @returns {{key: string, global: string, path: string}|null} The parsed
+ *   reference, or null if it isn't a supported global merge field
+ */
+export function parseGlobalMergeField(mergeField) {
+  const match = /^\{!\s*\$(\w+)\.([\w.]+)\s*\}$/.exec(
+    String(mergeField || "").trim()
+  );
+  const definition = match && GLOBAL_MERGE_FIELDS[match[1].toLowerCase()];
+  if (!definition) {
+    return null;
+  }
+  const path = definition.prefix + match[2];
+  return {
+    key: `$${definition.global}.${path}`.toLowerCase(),
+    global: definition.global,
+    path
+  };
+}
+
+/**
+ * Collects the global merge fields ($User, $Profile, $Permission, $Client)
+ * referenced by the visibility rules of the parsed sections.
+ *
+ * @param {Object} parsedSections Sections returned by parseFlexiPageJson
+ * @returns {Object[]} Unique references from parseGlobalMergeField
+ */
+export function collectGlobalMergeFields(parsedSections) {
+  const references = {};
+  forEachVisibilityCriterion(parsedSections, (criterion) => {
+    const reference = parseGlobalMergeField(criterion.leftValue);
+    if (reference && !references[reference.key]) {
+      references[reference.key] = reference;
+    }
+  });
+  return Object.values(references);
+}
+
+/**
+ * Builds a section in the parseFlexiPageJson format from a field set, so it
+ * renders and saves like any FlexiPage section. Fields keep the field set
+ * order and alternate between two columns, filling the form row by row.
+ *
+ * @param {Object} fieldSet Result of getFieldSetFields: {label, fields}
+ * @returns {Object|null} The section, or null if the field set has no fields
+ */
+export function buildFieldSetSection(fieldSet) {
+  const fields = fieldSet?.fields || [];
+  if (fields.length === 0) {
+    return null;
+  }
+
+  const columns = {
+    fieldSetColumn1: { order: 0, fields: {} },
+    fieldSetColumn2: { order: 1, fields: {} }
+  };
+  fields.forEach((field, index) => {
+    const column =
+      index % 2 === 0 ? columns.fieldSetColumn1 : columns.fieldSetColumn2;
+    column.fields[field.fieldPath] = {
+      value: "",
+      isVisible: true,
+      isRequired: field.required === true,
+      isReadOnly: false,
+      visibilityRule: null,
+      conditionalFormatRuleset: null,
+      order: index
+    };
+  });
+
+  return {
+    label: fieldSet.label || "Information",
+    columns,
+    container: null,
+    visibilityRule: null
+  };
+}
+
+/**
+ * Parses the columnLayout override, e.g. "3" or "3 columns".
+ *
+ * @param {string} columnLayout The columnLayout property
+ * @returns {number|null} A column count from 1 to 4, or null to use the
+ *   FlexiPage's own columns
+ */
+export function parseColumnLayout(columnLayout) {
+  const match = /^\s*([1-4])\b/.exec(String(columnLayout || ""));
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Returns the grid classes for one column of a section with the given number
+ * of columns.
+ *
+ * @param {number} columnCount Columns in the section
+ * @returns {string} SLDS grid classes
+ */
+export function getColumnClass(columnCount) {
+  return columnCount > 1
+    ? `slds-col slds-size_1-of-${columnCount} slds-p-horizontal_small`
+    : "slds-col slds-size_1-of-1";
+}
+
+/**
+ * Spreads the fields of a section's processed columns over a different
+ * number of columns. Fields keep their reading order: the first column is
+ * filled top to bottom before the next one starts, as on a FlexiPage.
+ *
+ * @param {Object[]} columns Processed columns in order, each with fieldIds,
+ *   fields and enhancedFields
+ * @param {number} columnCount Number of columns to produce
+ * @returns {Object[]} The new columns, some of which may be empty
+ */
+export function redistributeColumns(columns, columnCount) {
+  const fieldIds = columns.flatMap((column) => column.fieldIds);
+  const enhancedFields = columns.flatMap((column) => column.enhancedFields);
+  const fields = Object.assign({}, ...columns.map((column) => column.fields));
+  const perColumn = Math.ceil(fieldIds.length / columnCount);
+
+  return Array.from({ length: columnCount }, (item, index) => {
+    const start = index * perColumn;
+    const columnFieldIds = fieldIds.slice(start, start + perColumn);
+    return {
+      columnId: `column${index + 1}`,
+      order: index,
+      fieldIds: columnFieldIds,
+      fields: Object.fromEntries(
+        columnFieldIds.map((fieldId) => [fieldId, fields[fieldId]])
+      ),
+      enhancedFields: enhancedFields.slice(start, start + perColumn)
+    };
+  });
+}
+
+/**
+ * Collapses a section's columns into one for narrow containers. FlexiPage
+ * columns are interleaved row by row (left, right, left, ...) the way
+ * Dynamic Forms stacks them; columns from a columnLayout override are
+ * already in reading order, so they are simply joined.
+ *
+ * @param {Object[]} columns Processed columns in order, each with fieldIds,
+ *   fields and enhancedFields
+ * @param {boolean} interleave Whether to interleave rather than join
+ * @returns {Object[]} A single full-width column
+ */
+export function stackColumns(columns, interleave) {
+  const fieldIds = [];
+  const enhancedFields = [];
+  const add = (column, index) => {
+    fieldIds.push(column.fieldIds[index]);
+    enhancedFields.push(column.enhancedFields[index]);
+  };
+
+  if (interleave) {
+    const rows = Math.max(
+      0,
+      ...columns.map((column) => column.fieldIds.length)
+    );
+    for (let row = 0; row < rows; row++) {
+      columns
+        .filter((column) => row < column.fieldIds.length)
+        .forEach((column) => add(column, row));
+    }
+  } else {
+    columns.forEach((column) =>
+      column.fieldIds.forEach((fieldId, index) => add(column, index))
+    );
+  }
+
+  return [
+    {
+      columnId: "stackedColumn",
+      order: 0,
+      fieldIds,
+      fields: Object.assign({}, ...columns.map((column) => column.fields)),
+      enhancedFields,
+      class: getColumnClass(1)
+    }
+  ];
+}
+
+/**
+ * Compares two field values the way a user sees them: blank values (null,
+ * undefined and "") are equal, and everything else is compared as text.
+ *
+ * @param {*} left A field value
+ * @param {*} right Another field value
+ * @returns {boolean} True if the values are the same
+ */
+export function isSameFieldValue(left, right) {
+  const normalize = (value) => String(value ?? "");
+  return normalize(left) === normalize(right);
+}
+
+/**
+ * Lists the fields another user changed after the form loaded, for the
+ * save conflict dialog. A field is a conflict when its latest value differs
+ * from the loaded one; isChangedByYou tells whether saving would overwrite it.
+ *
+ * @param {string[]} fieldNames Fields to compare, e.g. the layout fields
+ * @param {Object} originalValues Values when the form loaded, keyed lowercase
+ * @param {Object} latestValues Current values on the server, keyed lowercase
+ * @param {Object} yourValues Values about to be saved, keyed by field name
+ * @returns {Object[]} One entry per changed field with fieldName,
+ *   originalValue, theirValue, yourValue and isChangedByYou
+ */
+export function findSaveConflicts(
+  fieldNames,
+  originalValues,
+  latestValues,
+  yourValues
+) {
+  const yourValuesByKey = {};
+  Object.entries(yourValues || {}).forEach(([fieldName, value]) => {
+    yourValuesByKey[fieldName.toLowerCase()] = value;
+  });
+
+  const seen = new Set();
+  return fieldNames
+    .filter((fieldName) => {
+      const key = fieldName.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return !isSameFieldValue(latestValues[key], originalValues[key]);
+    })
+    .map((fieldName) => {
+      const key = fieldName.toLowerCase();
+      const isChangedByYou = Object.prototype.hasOwnProperty.call(
+        yourValuesByKey,
+        key
+      );
+      return {
+        fieldName,
+        originalValue: originalValues[key],
+        theirValue: latestValues[key],
+        yourValue: isChangedByYou ? yourValuesByKey[key] : originalValues[key],
+        isChangedByYou
+      };
+    });
+}
+
+/**
+ * Splits a failed save's UI API error into what the form shows: page-level
+ * messages, messages tied to a field and the ids of duplicate records a
+ * duplicate rule matched. Errors without a UI API body fall back to their
+ * message so there's always something to show.
+ *
+ * @param {Object} error Rejection from createRecord or updateRecord
+ * @returns {{pageErrors: string[], fieldErrors: Object[], duplicateRecordIds: string[]}}
+ *   fieldErrors entries have fieldName, fieldLabel and message
+ */
+export function parseSaveError(error) {
+  const pageErrors = [];
+  const fieldErrors = [];
+  const duplicateRecordIds = [];
+  const bodies = (
+    Array.isArray(error?.body) ? error.body : [error?.body]
+  ).filter(Boolean);
+
+  bodies.forEach((body) => {
+    const output = body.output || {};
+    (output.errors || []).forEach((outputError) => {
+      pageErrors.push(outputError.message);
+      const matchResults = outputError.duplicateRecordError?.matchResults || [];
+      matchResults.forEach((matchResult) => {
+        (matchResult.matchRecordIds || []).forEach((recordId) => {
+          if (!duplicateRecordIds.includes(recordId)) {
+            duplicateRecordIds.push(recordId);
+          }
+        });
+      });
+    });
+    Object.entries(output.fieldErrors || {}).forEach(([fieldName, errors]) => {
+      errors.forEach((fieldError) => {
+        fieldErrors.push({
+          fieldName,
+          fieldLabel: fieldError.fieldLabel,
+          message: fieldError.message
+        });
+      });
+    });
+
+    if (!pageErrors.length && !fieldErrors.length && body.message) {
+      pageErrors.push(body.message);
+    }
+  });
+
+  if (!pageErrors.length && !fieldErrors.length) {
+    pageErrors.push(error?.message || "An unexpected error occurred");
+  }
+  return { pageErrors, fieldErrors, duplicateRecordIds };
+}
+
+/**
+ * Turns lowercase-keyed field values, as the form stores them, into a record
+ * with API name casing for a Flow record variable. Relationship paths such
+ * as account.name are left out because a record variable can't hold them.
+ *
+ * @param {Object} values Field values keyed by lowercase API name
+ * @param {Object} apiNames API names keyed by their lowercase form
+ * @returns {Object} The record, e.g. { Name: "Acme" }
+ */
+export function toSObjectRecord(values, apiNames) {
+  const record = {};
+  Object.entries(values || {}).forEach(([key, value]) => {
+    if (!key.includes(".")) {
+      record[apiNames[key] || key] = value;
+    }
+  });
+  return record;
+}
@@ -0,0 +1,80 @@
+import { LightningElement, api } from "lwc";
+
+/**
+ * Renders one processed section of flexiPageRecordForm. The component uses
+ * light DOM so the parent form can still reach every lightning-input-field
+ * when it saves, whether the section sits at the top level or inside a tab.
+ */
+export default class FlexiPageRecordFormSection extends LightningElement {
+  static renderMode = "light";
+
+  @api section; // A processed section from flexiPageRecordForm.processSections
+  @api recordId;
+  @api objectApiName;
+  @api isReadOnly = false; // Read-only component mode (no edit buttons)
+  @api editMode = false; // Whether the parent form is currently editing
+
+  get showEditForm() {
+    return !this.isReadOnly && this.editMode;
+  }
+
+  get showViewForm() {
+    return !this.showEditForm;
+  }
+
+  get showEditButtons() {
+    return !this.isReadOnly;
+  }
+
+  get fieldElementClass() {
+    return this.isReadOnly
+      ? "slds-form-element slds-form-element_readonly slds-form-element_stacked"
+      : "slds-form-element slds-form-element_readonly slds-form-element_stacked slds-form-element_edit";
+  }
+
+  get staticElementClass() {
+    return this.isReadOnly
+      ? "slds-form-element__static"
+      : "slds-form-element__static slds-form-element__static_edit";
+  }
+
+  get blankSpaceStyle() {
+    return this.isReadOnly ? "height: 2rem" : "height: 4rem";
+  }
+
+  handleToggle() {
+    this.dispatchEvent(
+      new CustomEvent("sectiontoggle", {
+        detail: { sectionId: this.section.sectionId }
+      })
+    );
+  }
+
+  handleEditClick(event) {
+    this.dispatchEvent(
+      new CustomEvent("fieldedit", {
+        detail: { fieldId: event.currentTarget.dataset.fieldId }
+      })
+    );
+  }
+
+  handleFieldChange(event) {
+    this.dispatchEvent(
+      new CustomEvent("fieldchange", {
+        detail: {
+          fieldName: event.target.fieldName,
+          value: event.target.value
+        }
+      })
+    );
+  }
+
+  handleNavigate(event) {
+    event.preventDefault();
+    this.dispatchEvent(
+      new CustomEvent("recordnavigate", {
+        detail: { recordId: event.currentTarget.dataset.recordId }
+      })
+    );
+  }
+}
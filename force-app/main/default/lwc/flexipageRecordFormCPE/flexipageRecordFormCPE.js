@@ -30,10 +30,18 @@ export default class FlexipageRecordFormCPE extends LightningElement {
   // Configuration values
   objectApiName;
   selectedFlexiPage;
+  fieldSetName;
+  columnLayout = "";
+  responsiveBreakpoint = 600;
   cardTitle;
   showIcon = false;
   recordId;
+  inputRecord;
+  inputRecords;
+  recordIds;
+  collectionDisplay = "cards";
   isReadOnly = false;
+  saveOnNext = false;
   excludedFields = [];
   defaultFieldValues = {};
   saveLabel = "Save";
@@ -95,6 +103,28 @@ export default class FlexipageRecordFormCPE extends LightningElement {
     return !this.objectApiName;
   }
 
+  get columnLayoutOptions() {
+    return [
+      { label: "FlexiPage Default", value: "" },
+      { label: "1 Column", value: "1" },
+      { label: "2 Columns", value: "2" },
+      { label: "3 Columns", value: "3" },
+      { label: "4 Columns", value: "4" }
+    ];
+  }
+
+  get collectionDisplayOptions() {
+    return [
+      { label: "Stacked Cards", value: "cards" },
+      { label: "Tabs", value: "tabs" }
+    ];
+  }
+
+  get isFlexiPageRequired() {
+    // A field set can stand in for the FlexiPage layout
+    return !this.fieldSetName;
+  }
+
   get excludedFieldsCount() {
     return this.excludedFields.length;
   }
@@ -160,6 +190,9 @@ export default class FlexipageRecordFormCPE extends LightningElement {
         case "flexiPageName":
           pendingFieldLoad = variable.value;
           break;
+        case "fieldSetName":
+          this.fieldSetName = variable.value;
+          break;
         case "cardTitle":
           this.cardTitle = variable.value;
           break;
@@ -169,10 +202,32 @@ export default class FlexipageRecordFormCPE extends LightningElement {
         case "recordId":
           this.recordId = variable.value;
           break;
+        case "inputRecord":
+          this.inputRecord = variable.value;
+          break;
+        case "inputRecords":
+          this.inputRecords = variable.value;
+          break;
+        case "recordIds":
+          this.recordIds = variable.value;
+          break;
+        case "collectionDisplay":
+          this.collectionDisplay = variable.value || "cards";
+          break;
         case "isReadOnly":
           this.isReadOnly =
             variable.value === true || variable.value === "true";
           break;
+        case "saveOnNext":
+          this.saveOnNext =
+            variable.value === true || variable.value === "true";
+          break;
+        case "columnLayout":
+          this.columnLayout = variable.value || "";
+          break;
+        case "responsiveBreakpoint":
+          this.responsiveBreakpoint = variable.value ?? 600;
+          break;
         case "excludedFields":
           pendingExcludedFields = variable.value;
           break;
@@ -235,9 +290,11 @@ export default class FlexipageRecordFormCPE extends LightningElement {
 
     // Reset dependent selections
     this.selectedFlexiPage = null;
+    this.fieldSetName = null;
     this.excludedFields = [];
     this.defaultFieldValues = {};
     this.dispatchConfigurationChange("flexiPageName", null);
+    this.dispatchConfigurationChange("fieldSetName", null);
     this.dispatchConfigurationChange("excludedFields", "");
     this.dispatchConfigurationChange("defaultValues", "");
 
@@ -264,6 +321,11 @@ export default class FlexipageRecordFormCPE extends LightningElement {
     this.loadFields();
   }
 
+  handleFieldSetNameChange(event) {
+    this.fieldSetName = event.detail.value;
+    this.dispatchConfigurationChange("fieldSetName", this.fieldSetName);
+  }
+
   handleCardTitleChange(event) {
     this.cardTitle = event.detail.value;
     this.dispatchConfigurationChange("cardTitle", this.cardTitle);
@@ -279,11 +341,61 @@ export default class FlexipageRecordFormCPE extends LightningElement {
     this.dispatchConfigurationChange("recordId", this.recordId);
   }
 
+  handleInputRecordChange(event) {
+    this.inputRecord = event.detail.newValue;
+    this.dispatchConfigurationChange(
+      "inputRecord",
+      this.inputRecord,
+      "reference"
+    );
+  }
+
+  handleInputRecordsChange(event) {
+    this.inputRecords = event.detail.newValue;
+    this.dispatchConfigurationChange(
+      "inputRecords",
+      this.inputRecords,
+      "reference"
+    );
+  }
+
+  handleRecordIdsChange(event) {
+    this.recordIds = event.detail.newValue;
+    this.dispatchConfigurationChange("recordIds", this.recordIds, "reference");
+  }
+
+  handleCollectionDisplayChange(event) {
+    this.collectionDisplay = event.detail.value;
+    this.dispatchConfigurationChange(
+      "collectionDisplay",
+      this.collectionDisplay
+    );
+  }
+
   handleReadOnlyChange(event) {
     this.isReadOnly = event.detail.checked;
     this.dispatchConfigurationChange("isReadOnly", this.isReadOnly, "Boolean");
   }
 
+  handleSaveOnNextChange(event) {
+    this.saveOnNext = event.detail.checked;
+    this.dispatchConfigurationChange("saveOnNext", this.saveOnNext, "Boolean");
+  }
+
+  handleColumnLayoutChange(event) {
+    this.columnLayout = event.detail.value;
+    this.dispatchConfigurationChange("columnLayout", this.columnLayout);
+  }
+
+  handleResponsiveBreakpointChange(event) {
+    this.responsiveBreakpoint = parseInt(event.detail.value, 10) || 0;
+    this.dispatchConfigurationChange(
+      "responsiveBreakpoint",
+      this.responsiveBreakpoint,
+      "Number"
+    );
+  }
+
   handleSaveLabelChange(event) {
     this.saveLabel = event.detail.value || "Save";
     this.dispatchConfigurationChange("saveLabel", this.saveLabel);
@@ -751,10 +863,10 @@ export default class FlexipageRecordFormCPE extends LightningElement {
       });
     }
 
-    if (!this.selectedFlexiPage) {
+    if (!this.selectedFlexiPage && !this.fieldSetName) {
       errors.push({
         key: "FLEXIPAGE_REQUIRED",
-        errorString: "Please select a FlexiPage layout"
+        errorString: "Please select a FlexiPage layout or a field set"
       });
     }
 